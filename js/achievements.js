@@ -0,0 +1,176 @@
+// AchievementManager grants badges for things done while playing. It follows the
+// player's runs on the game's event bus (bot runs and replays don't count) as
+// gameplay events (runStart, jump, pipe, runEnd); each achievement in
+// AchievementManager.ACHIEVEMENTS turns those into progress towards its goal and
+// unlocks once it gets there, which is announced as achievementUnlocked. Progress and
+// unlock dates live in the player's profile (see SettingsStore), saved when a run
+// ends and whenever a badge unlocks.
+class AchievementManager {
+    constructor(settings, achievements = AchievementManager.ACHIEVEMENTS) {
+        this.settings = settings;
+        this.achievements = achievements;
+        this.state = settings.get('profile.achievements'); // { [id]: { progress, unlocked } }
+        this.run = null; // Facts about the run in progress (see startRun)
+        this.events = null; // Bus the runs are followed on (see listen)
+    }
+
+    // Follow the runs published on an EventBus (see GameStateManager.EVENTS)
+    listen(events) {
+        this.events = events;
+        events.declare(AchievementManager.EVENTS);
+        events.on('runStart', ({ bot, gamesPlayed }) => {
+            if (bot) {
+                this.run = null;
+            } else {
+                this.handle('runStart', { gamesPlayed });
+            }
+        });
+        events.on('flap', ({ time }) => this.handle('jump', { time }));
+        events.on('pipePassed', () => this.handle('pipe'));
+        events.on('runEnd', ({ score, cause }) => this.handle('runEnd', { score, cause }));
+    }
+
+    // Report a gameplay event; data depends on the event:
+    // runStart { gamesPlayed }, jump { time }, pipe {}, runEnd { score, cause }
+    handle(event, data = {}) {
+        if (event === 'runStart') {
+            this.startRun();
+        }
+        if (!this.run) return;
+
+        switch (event) {
+            case 'jump':
+                if (this.run.lastJump !== null && data.time - this.run.lastJump < AchievementManager.DOUBLE_FLAP_WINDOW) {
+                    this.run.doubleFlapped = true;
+                }
+                this.run.lastJump = data.time;
+                this.run.jumps++;
+                break;
+            case 'pipe':
+                this.run.pipes++;
+                break;
+        }
+
+        for (const achievement of this.achievements) {
+            const track = achievement.on[event];
+            if (!track || this.isUnlocked(achievement.id)) continue;
+
+            const progress = this.getProgress(achievement.id);
+            const next = Math.min(achievement.goal, track(progress, this.run, data));
+            if (next !== progress) {
+                this.setProgress(achievement, next);
+            }
+        }
+
+        if (event === 'runEnd') {
+            this.run = null;
+            this.save();
+        }
+    }
+
+    // Start tracking a new run
+    startRun() {
+        this.run = {
+            pipes: 0, // Pipes passed (Zen penalties don't take them back)
+            jumps: 0,
+            lastJump: null, // Run time (seconds) of the latest flap
+            doubleFlapped: false // Two flaps came closer together than DOUBLE_FLAP_WINDOW
+        };
+    }
+
+    // Record progress, unlocking the achievement when it reaches the goal
+    setProgress(achievement, progress) {
+        const entry = { progress, unlocked: null };
+        if (progress >= achievement.goal) {
+            entry.unlocked = new Date().toISOString();
+        }
+        this.state[achievement.id] = entry;
+
+        if (entry.unlocked) {
+            this.save();
+            if (this.events) {
+                this.events.emit('achievementUnlocked', achievement);
+            }
+        }
+    }
+
+    // Write progress and unlocks to the profile
+    save() {
+        this.settings.set('profile.achievements', this.state);
+    }
+
+    // Progress towards an achievement's goal
+    getProgress(id) {
+        return this.state[id]?.progress ?? 0;
+    }
+
+    // Check if an achievement is unlocked
+    isUnlocked(id) {
+        return Boolean(this.state[id]?.unlocked);
+    }
+
+    // Every achievement with its progress, for the gallery:
+    // [{ id, title, description, goal, progress, unlocked (ISO date or null) }]
+    getAll() {
+        return this.achievements.map(({ id, title, description, goal }) => ({
+            id,
+            title,
+            description,
+            goal,
+            progress: this.getProgress(id),
+            unlocked: this.state[id]?.unlocked ?? null
+        }));
+    }
+}
+
+// Events published on the event bus: the achievement (from ACHIEVEMENTS) that unlocked
+AchievementManager.EVENTS = ['achievementUnlocked'];
+
+// Seconds within which a second flap counts as a double flap
+AchievementManager.DOUBLE_FLAP_WINDOW = 0.2;
+
+// Built-in achievements, in gallery order. goal is the progress that unlocks it;
+// on maps event names to track(progress, run, data), which returns the new progress
+// (run holds the facts AchievementManager.startRun keeps; data is the event's)
+AchievementManager.ACHIEVEMENTS = [
+    {
+        id: 'tenPipes',
+        title: 'Taking Off',
+        description: 'Pass 10 pipes in one run',
+        goal: 10,
+        on: { pipe: (progress, run) => Math.max(progress, run.pipes) }
+    },
+    {
+        id: 'fiftyPipes',
+        title: 'High Flyer',
+        description: 'Pass 50 pipes in one run',
+        goal: 50,
+        on: { pipe: (progress, run) => Math.max(progress, run.pipes) }
+    },
+    {
+        id: 'coolHead',
+        title: 'Cool Head',
+        description: 'Pass 50 pipes in one run without flapping twice within 200 ms',
+        goal: 50,
+        on: { pipe: (progress, run) => run.doubleFlapped ? progress : Math.max(progress, run.pipes) }
+    },
+    {
+        id: 'regular',
+        title: 'Regular',
+        description: 'Play 100 games',
+        goal: 100,
+        on: { runStart: (progress, run, data) => Math.max(progress, data.gamesPlayed) }
+    },
+    {
+        id: 'stageFright',
+        title: 'Stage Fright',
+        description: 'Crash into the very first pipe 5 times',
+        goal: 5,
+        on: { runEnd: (progress, run, data) => run.pipes === 0 && /Pipe$/.test(data.cause) ? progress + 1 : progress }
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementManager;
+}
\ No newline at end of file
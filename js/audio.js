@@ -0,0 +1,268 @@
+// AudioManager plays the game's sound through the Web Audio API. Every effect is
+// synthesized on the spot, so the game has sound without any files; when a sample
+// file for an effect loads, it is played instead. Browsers keep audio locked until
+// the first user gesture, and effects before then are skipped.
+// Gain buses: effects -> sfx -> master and music -> music -> master (see getMusicOutput).
+class AudioManager {
+    constructor(options = {}) {
+        this.samples = options.samples ?? AudioManager.DEFAULT_SAMPLES;
+        this.buffers = {}; // Decoded sample files, by effect name
+        this.volumes = { master: 1, sfx: 0.8, music: 0.5 };
+        this.muted = false;
+        this.musicMuted = false; // Music off while effects stay on
+
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        this.context = AudioContextClass ? new AudioContextClass() : null;
+        this.noiseBuffer = null;
+
+        if (this.context) {
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.sfxGain = this.context.createGain();
+            this.sfxGain.connect(this.masterGain);
+            this.musicGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.applyVolumes();
+        }
+    }
+
+    // Check if the browser supports Web Audio
+    isAvailable() {
+        return this.context !== null;
+    }
+
+    // Check if sound can be heard right now (supported and unlocked)
+    isRunning() {
+        return this.isAvailable() && this.context.state === 'running';
+    }
+
+    // Resume the audio context on the first click, tap or key press
+    unlockOnGesture(target = window) {
+        if (!this.context) return;
+
+        const events = ['pointerdown', 'touchstart', 'keydown'];
+        const unlock = () => {
+            this.unlock();
+            for (const type of events) {
+                target.removeEventListener(type, unlock, true);
+            }
+        };
+        for (const type of events) {
+            target.addEventListener(type, unlock, true);
+        }
+    }
+
+    // Resume the audio context (must run inside a user gesture the first time)
+    unlock() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+    }
+
+    // Hold all sound while the page is hidden (unlock() brings it back)
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend().catch(() => {});
+        }
+    }
+
+    // Load the sample files that exist; effects without one stay synthesized
+    async loadSamples() {
+        if (!this.context || typeof fetch === 'undefined') return;
+
+        await Promise.all(Object.entries(this.samples).map(async ([name, src]) => {
+            try {
+                const response = await fetch(src);
+                if (!response.ok) return;
+                const data = await response.arrayBuffer();
+                this.buffers[name] = await this.context.decodeAudioData(data);
+            } catch (error) {
+                // Missing or undecodable file: keep the synthesized effect
+            }
+        }));
+    }
+
+    // Play a sound effect: 'jump', 'score', 'coin', 'hit' or 'swoosh'
+    play(name) {
+        if (!this.isRunning()) return;
+
+        const buffer = this.buffers[name];
+        if (buffer) {
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.sfxGain);
+            source.start();
+            return;
+        }
+
+        const time = this.context.currentTime;
+        switch (name) {
+            case 'jump':
+                // Quick upward chirp with a breath of air
+                this.playTone('triangle', 420, 780, time, 0.09, 0.35);
+                this.playNoise(time, 0.06, 0.12, 2000, 4000);
+                break;
+            case 'score':
+                // Two-note coin
+                this.playTone('sine', 988, 988, time, 0.08, 0.3);
+                this.playTone('sine', 1319, 1319, time + 0.08, 0.18, 0.3);
+                break;
+            case 'coin':
+                // Short high ping, quieter than scoring as coins come in strings
+                this.playTone('sine', 1760, 2093, time, 0.07, 0.15);
+                break;
+            case 'hit':
+                // Falling thud under a burst of noise
+                this.playTone('square', 180, 40, time, 0.25, 0.3);
+                this.playNoise(time, 0.2, 0.4, 800, 200);
+                break;
+            case 'swoosh':
+                // Rising sweep of filtered noise
+                this.playNoise(time, 0.35, 0.25, 400, 3000);
+                break;
+        }
+    }
+
+    // Oscillator gliding between two frequencies, fading out over its duration
+    // (into the effects bus unless another output node is given)
+    playTone(type, startFrequency, endFrequency, time, duration, volume, output = this.sfxGain) {
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(startFrequency, time);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    // White noise through a band-pass filter sweeping between two frequencies
+    playNoise(time, duration, volume, startFrequency, endFrequency, output = this.sfxGain) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.getNoiseBuffer();
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(startFrequency, time);
+        filter.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + duration * 0.2);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(output);
+        source.start(time);
+        source.stop(time + duration);
+    }
+
+    // One second of white noise, made once and shared by every noise effect
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+
+    // Node music should connect to, so it follows the music volume (null without Web Audio)
+    getMusicOutput() {
+        return this.context ? this.musicGain : null;
+    }
+
+    // Set a channel's volume between 0 and 1: 'master', 'sfx' or 'music'
+    setVolume(channel, value) {
+        if (!(channel in this.volumes)) {
+            console.warn(`Unknown volume channel "${channel}"`);
+            return;
+        }
+
+        this.volumes[channel] = Math.min(1, Math.max(0, Number(value) || 0));
+        this.applyVolumes();
+    }
+
+    // Get a channel's volume
+    getVolume(channel) {
+        return this.volumes[channel];
+    }
+
+    // Silence (or restore) everything without losing the volume settings
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyVolumes();
+    }
+
+    // Toggle mute; returns the new state
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    // Check if sound is muted
+    isMuted() {
+        return this.muted;
+    }
+
+    // Turn the music off (or back on) on its own
+    setMusicMuted(muted) {
+        this.musicMuted = Boolean(muted);
+        this.applyVolumes();
+    }
+
+    // Toggle the music; returns true if it is now off
+    toggleMusicMute() {
+        this.setMusicMuted(!this.musicMuted);
+        return this.musicMuted;
+    }
+
+    // Volumes and mute switches as plain data (for saving)
+    getSettings() {
+        return { volumes: { ...this.volumes }, muted: this.muted, musicMuted: this.musicMuted };
+    }
+
+    // Restore settings saved by getSettings
+    applySettings(settings) {
+        if (!settings) return;
+
+        for (const [channel, value] of Object.entries(settings.volumes || {})) {
+            if (channel in this.volumes) {
+                this.volumes[channel] = Math.min(1, Math.max(0, Number(value) || 0));
+            }
+        }
+        this.musicMuted = Boolean(settings.musicMuted);
+        this.setMuted(settings.muted);
+    }
+
+    // Push the volume settings into the gain buses
+    applyVolumes() {
+        if (!this.context) return;
+
+        this.masterGain.gain.value = this.muted ? 0 : this.volumes.master;
+        this.sfxGain.gain.value = this.volumes.sfx;
+        this.musicGain.gain.value = this.musicMuted ? 0 : this.volumes.music;
+    }
+}
+
+// Optional sample files; an effect plays its file when it loads and is synthesized otherwise
+AudioManager.DEFAULT_SAMPLES = {
+    jump: 'assets/jump.mp3',
+    score: 'assets/score.mp3',
+    hit: 'assets/hit.mp3',
+    swoosh: 'assets/swoosh.mp3'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioManager;
+}
\ No newline at end of file
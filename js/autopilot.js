@@ -0,0 +1,167 @@
+// Autopilot plays the game by reading the next pipe's gap and the bird's velocity.
+// Skill levels trade precision for human-like reaction delay, aim jitter and slips.
+class Autopilot {
+    constructor(random = { next: Math.random }) {
+        this.random = random;
+        this.skillName = 'perfect';
+        this.skill = Autopilot.SKILL_LEVELS.perfect;
+
+        // Safety margin kept above the bottom edge of the gap (pixels);
+        // narrow gaps get less, so a flap from the bottom still clears the top
+        this.margin = 8;
+
+        this.reset();
+    }
+
+    // Choose a skill level by name (see Autopilot.SKILL_LEVELS)
+    setSkill(name) {
+        if (!Autopilot.SKILL_LEVELS[name]) {
+            console.warn(`Unknown autopilot skill "${name}"`);
+            return;
+        }
+        this.skillName = name;
+        this.skill = Autopilot.SKILL_LEVELS[name];
+        this.reset();
+    }
+
+    // Get the current skill level name
+    getSkill() {
+        return this.skillName;
+    }
+
+    // Forget pending decisions (call at the start of every run)
+    reset() {
+        this.pendingJumpSteps = 0; // Steps until a decided jump is executed
+        this.aimedPipeId = null;
+        this.aimOffset = 0;
+    }
+
+    // Decide whether to flap this step; returns true when the bird should jump
+    update(deltaTime, bird, pipeManager) {
+        // A decision made earlier is still "travelling to the thumb"
+        if (this.pendingJumpSteps > 0) {
+            this.pendingJumpSteps--;
+            return this.pendingJumpSteps === 0;
+        }
+
+        if (!this.wantsToJump(deltaTime, bird, pipeManager)) {
+            return false;
+        }
+
+        // Humans sometimes just don't tap
+        if (this.random.next() < this.skill.missChance) {
+            return false;
+        }
+
+        const delaySteps = this.getDelaySteps(deltaTime);
+        if (delaySteps > 0) {
+            this.pendingJumpSteps = delaySteps;
+            return false;
+        }
+
+        return true;
+    }
+
+    // Reaction delay expressed in whole simulation steps
+    getDelaySteps(deltaTime) {
+        return Math.round(this.skill.reactionDelay / deltaTime);
+    }
+
+    // Flap when the bird is about to sink below the gap it is aiming for
+    wantsToJump(deltaTime, bird, pipeManager) {
+        // Look ahead by the reaction delay so slow players commit early,
+        // sometimes while the bird is still rising
+        const delaySteps = this.getDelaySteps(deltaTime);
+        const targetY = this.getTargetY(bird, pipeManager, delaySteps * deltaTime);
+
+        const atFlap = this.predictY(bird, delaySteps, deltaTime);
+        const stepLater = this.predictY(bird, delaySteps + 1, deltaTime);
+
+        // Flap on the step that lands closest to the target
+        return stepLater - targetY > targetY - atFlap;
+    }
+
+    // Where the bird will be after a number of steps without flapping
+    // (integrated exactly like Bird.update, slow-mo included, so the bot sees what will happen)
+    predictY(bird, steps, deltaTime) {
+        const gravity = bird.gravity * bird.gravityEffect;
+        let y = bird.y;
+        let velocity = bird.velocity;
+
+        for (let i = 0; i < steps; i++) {
+            velocity = Math.min(velocity + gravity * deltaTime, bird.maxFallVelocity);
+            y += velocity * deltaTime;
+        }
+
+        return y;
+    }
+
+    // Lowest y the bird's centre should sink to before a flap made some seconds from now
+    getTargetY(bird, pipeManager, delay = 0) {
+        // Keep aiming at a pipe until the bird is past its caps, which overhang the body
+        const pipe = pipeManager.getNextPipe(bird.x - bird.width / 2 - pipeManager.capOverhang);
+        if (!pipe) {
+            // Nothing ahead: hover around the middle of the sky
+            return pipeManager.canvasHeight / 2;
+        }
+
+        // Pick a fresh aim error for every pipe
+        if (pipe.id !== this.aimedPipeId) {
+            this.aimedPipeId = pipe.id;
+            this.aimOffset = (this.random.next() * 2 - 1) * this.skill.aimJitter;
+        }
+
+        const gap = this.getGapAhead(bird, pipe, pipeManager, delay);
+        const gapBottom = gap.gapY + gap.gapSize;
+        return gapBottom - bird.height / 2 - this.getMargin(bird, gap.gapSize) + this.aimOffset;
+    }
+
+    // The part of a pipe's gap that stays open from a flap some seconds from now to the
+    // top of its rise, while the bird is in the pipe (moving and closing gaps change on
+    // the way, see PipeType.getGapAt): { gapY, gapSize }
+    getGapAhead(bird, pipe, pipeManager, delay) {
+        const type = pipeManager.getType(pipe);
+        const speed = pipeManager.getSpeed();
+        const reach = bird.width / 2 + pipeManager.capOverhang;
+
+        // Seconds until the bird is in the pipe, and until it is through
+        const enter = (pipe.x - reach - bird.x) / speed;
+        const leave = (pipe.x + pipe.width + reach - bird.x) / speed;
+
+        const riseTime = -bird.jumpVelocity / (bird.gravity * bird.gravityEffect);
+        const from = Math.max(delay, enter);
+        const to = Math.max(from, Math.min(delay + riseTime, leave));
+
+        let top = -Infinity;
+        let bottom = Infinity;
+        for (let i = 0; i <= Autopilot.GAP_SAMPLES; i++) {
+            const gap = type.getGapAt(pipe, from + (to - from) * i / Autopilot.GAP_SAMPLES);
+            top = Math.max(top, gap.gapY);
+            bottom = Math.min(bottom, gap.gapY + gap.gapSize);
+        }
+        return { gapY: top, gapSize: bottom - top };
+    }
+
+    // Margin that centres a full flap (lowest to highest point) in the gap, at most this.margin
+    getMargin(bird, gapSize) {
+        const rise = bird.jumpVelocity * bird.jumpVelocity / (2 * bird.gravity);
+        const room = gapSize - bird.height - rise;
+        return Math.max(0, Math.min(this.margin, room / 2));
+    }
+}
+
+// Points in time a changing gap is checked at while looking ahead (see getGapAhead)
+Autopilot.GAP_SAMPLES = 8;
+
+// Skill levels, from flawless down to human-like
+Autopilot.SKILL_LEVELS = {
+    perfect: { label: 'Perfect', reactionDelay: 0, aimJitter: 0, missChance: 0 },
+    skilled: { label: 'Skilled', reactionDelay: 0.05, aimJitter: 4, missChance: 0 },
+    average: { label: 'Average', reactionDelay: 0.12, aimJitter: 6, missChance: 0.005 },
+    human: { label: 'Human-like', reactionDelay: 0.2, aimJitter: 9, missChance: 0.01 }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Autopilot;
+}
\ No newline at end of file
@@ -3,25 +3,44 @@ class Bird {
     constructor(x, y) {
         this.x = x;
         this.y = y;
-        this.width = 20;
-        this.height = 20;
-        this.velocity = 0;
-        this.gravity = 0.5;
-        this.jumpVelocity = -8;
-        this.maxFallVelocity = 12;
+        this.size = 20; // Full-size width and height; skins draw at this size
+        this.scale = 1; // Size multiplier (the shrink power-up halves it)
+        this.width = this.size;
+        this.height = this.size;
+        this.velocity = 0; // pixels/second
+        this.gravity = 1800; // pixels/second²
+        this.gravityEffect = 1; // Gravity multiplier from power-ups (see ItemManager)
+        this.jumpVelocity = -480; // pixels/second
+        this.maxFallVelocity = 720; // pixels/second
         this.rotation = 0;
         this.targetRotation = 0;
-
-        // Visual properties
-        this.color = '#FFD700'; // Yellow color
-        this.eyeColor = 'white';
-        this.beakColor = '#FFA500'; // Orange color
+        this.rotationSmoothing = 0.1; // Fraction of the remaining angle closed per 60 Hz tick
+
+        // Previous simulation state, used to interpolate between fixed steps
+        this.previousY = y;
+        this.previousRotation = 0;
+
+        // Look of the bird (see BirdSkin); null draws the classic skin
+        this.skin = null;
+        this.palette = null; // Colours painted over the skin's, from the shop (see Shop)
+
+        // Beak triangle relative to the body centre (before rotation);
+        // drawn and collided with, so the two always agree
+        this.beakPoints = [
+            { x: 8, y: 0 },
+            { x: 14, y: 2 },
+            { x: 8, y: 4 }
+        ];
     }
 
-    // Update bird position and physics
-    update() {
+    // Update bird position and physics (deltaTime in seconds)
+    update(deltaTime) {
+        // Remember where we were for render interpolation
+        this.previousY = this.y;
+        this.previousRotation = this.rotation;
+
         // Apply gravity to velocity
-        this.velocity += this.gravity;
+        this.velocity += this.gravity * this.gravityEffect * deltaTime;
 
         // Limit maximum fall velocity
         if (this.velocity > this.maxFallVelocity) {
@@ -29,7 +48,7 @@ class Bird {
         }
 
         // Update position
-        this.y += this.velocity;
+        this.y += this.velocity * deltaTime;
 
         // Prevent bird from flying above screen top
         if (this.y < 0) {
@@ -38,73 +57,53 @@ class Bird {
         }
 
         // Update rotation based on velocity for realistic flight
-        this.targetRotation = Math.min(Math.max(this.velocity * 3, -30), 90);
+        this.targetRotation = Math.min(Math.max(this.velocity * 0.05, -30), 90);
 
-        // Smooth rotation transition
-        this.rotation += (this.targetRotation - this.rotation) * 0.1;
+        // Smooth rotation transition, scaled so it eases at the same rate at any step size
+        const smoothing = 1 - Math.pow(1 - this.rotationSmoothing, deltaTime * 60);
+        this.rotation += (this.targetRotation - this.rotation) * smoothing;
     }
 
     // Make bird jump/flap
     jump() {
-        this.velocity = this.jumpVelocity;
+        // Under lighter gravity (slow-mo) the flap is slower too, so it rises just as high
+        this.velocity = this.jumpVelocity * Math.sqrt(this.gravityEffect);
         this.rotation = -20; // Quick upward rotation when jumping
     }
 
-    // Render bird on canvas
-    render(ctx) {
+    // Render bird on canvas, interpolating between the last two simulation steps
+    render(ctx, alpha = 1) {
+        const y = this.previousY + (this.y - this.previousY) * alpha;
+        const rotation = this.previousRotation + (this.rotation - this.previousRotation) * alpha;
+
         ctx.save();
 
-        // Move to bird position and rotate
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation * Math.PI / 180);
-
-        // Draw bird body (circle)
-        ctx.fillStyle = this.color;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.width / 2, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw bird outline
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-
-        // Draw eye
-        ctx.fillStyle = this.eyeColor;
-        ctx.beginPath();
-        ctx.arc(5, -3, 3, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#333';
-        ctx.stroke();
-
-        // Draw pupil
-        ctx.fillStyle = '#333';
-        ctx.beginPath();
-        ctx.arc(6, -3, 1.5, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw beak
-        ctx.fillStyle = this.beakColor;
-        ctx.beginPath();
-        ctx.moveTo(8, 0);
-        ctx.lineTo(14, 2);
-        ctx.lineTo(8, 4);
-        ctx.closePath();
-        ctx.fill();
-        ctx.strokeStyle = '#333';
-        ctx.stroke();
-
-        // Draw wing
-        ctx.fillStyle = '#FFA500';
-        ctx.beginPath();
-        ctx.ellipse(-3, 2, 6, 4, Math.PI / 6, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#333';
-        ctx.stroke();
+        // Move to bird position, rotate, and shrink or grow from full size
+        ctx.translate(this.x, y);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.scale(this.scale, this.scale);
+
+        // Draw the skin in the bird's own coordinates
+        this.getSkin().draw(ctx, this, Date.now());
 
         ctx.restore();
     }
 
+    // Resize the bird (1 is full size); its collision shape follows
+    setScale(scale) {
+        this.scale = scale;
+        this.width = this.size * scale;
+        this.height = this.size * scale;
+    }
+
+    // Get the skin the bird is drawn with
+    getSkin() {
+        if (!this.skin) {
+            this.skin = new BirdSkin();
+        }
+        return this.skin;
+    }
+
     // Get bird's bounding box for collision detection
     getBounds() {
         return {
@@ -115,6 +114,21 @@ class Bird {
         };
     }
 
+    // Collision shape matching the drawn sprite: the body circle plus the rotated beak
+    getCollisionShape() {
+        const angle = this.rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return {
+            circle: { x: this.x, y: this.y, radius: this.width / 2 },
+            beak: this.beakPoints.map(point => ({
+                x: this.x + (point.x * cos - point.y * sin) * this.scale,
+                y: this.y + (point.x * sin + point.y * cos) * this.scale
+            }))
+        };
+    }
+
     // Check if bird hits the ground
     isGrounded(canvasHeight) {
         return this.y + this.height / 2 >= canvasHeight - 50; // 50px for ground height
@@ -132,6 +146,10 @@ class Bird {
         this.velocity = 0;
         this.rotation = 0;
         this.targetRotation = 0;
+        this.previousY = y;
+        this.previousRotation = 0;
+        this.gravityEffect = 1;
+        this.setScale(1);
     }
 
     // Add bounce effect when hitting ground
@@ -0,0 +1,1058 @@
+// CanvasRenderer draws the game onto the page's canvas and drives the DOM overlay
+class CanvasRenderer extends Renderer {
+    constructor(canvas, audio = null, music = null) {
+        super();
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.audio = audio; // AudioManager that plays the sound cues (silent without one)
+        this.music = music; // MusicPlayer for the background music (none without one)
+        this.haptics = true; // Vibrate on crashes and points where the device can
+        this.toasts = []; // Achievement unlock toasts waiting or showing, each { title, start }
+        this.drawHooks = { beforeWorld: [], hud: [], afterWorld: [] }; // Extra drawing by stage (see addDrawHook)
+        this.trailPoints = []; // Where the bird's trail was dropped: { distance, y, index } (see renderTrail)
+        this.trailCount = 0; // Trail points dropped so far, cycling the trail's colours
+
+        // UI elements
+        this.startScreen = document.getElementById('startScreen');
+        this.settingsScreen = document.getElementById('settingsScreen');
+        this.leaderboardScreen = document.getElementById('leaderboardScreen');
+        this.leaderboardTitle = document.getElementById('leaderboardTitle');
+        this.leaderboardList = document.getElementById('leaderboardList');
+        this.statsScreen = document.getElementById('statsScreen');
+        this.statsTitle = document.getElementById('statsTitle');
+        this.statsSummary = document.getElementById('statsSummary');
+        this.statsHistogram = document.getElementById('statsHistogram');
+        this.statsTrend = document.getElementById('statsTrend');
+        this.statsTrendNote = document.getElementById('statsTrendNote');
+        this.statsCauses = document.getElementById('statsCauses');
+        this.achievementsScreen = document.getElementById('achievementsScreen');
+        this.achievementsSummary = document.getElementById('achievementsSummary');
+        this.achievementList = document.getElementById('achievementList');
+        this.shopScreen = document.getElementById('shopScreen');
+        this.shopBalance = document.getElementById('shopBalance');
+        this.shopList = document.getElementById('shopList');
+        this.coinBalance = document.getElementById('coinBalance');
+        this.finalCoins = document.getElementById('finalCoins');
+        this.gameOverScreen = document.getElementById('gameOverScreen');
+        this.pauseScreen = document.getElementById('pauseScreen');
+        this.pauseButton = document.getElementById('pauseButton');
+        this.gameOverlay = document.getElementById('gameOverlay');
+        this.finalScore = document.getElementById('finalScore');
+        this.finalHighScore = document.getElementById('finalHighScore');
+        this.initialsForm = document.getElementById('initialsForm');
+        this.initialsInput = document.getElementById('initialsInput');
+        this.replayControls = document.getElementById('replayControls');
+        this.replayPlayPauseButton = document.getElementById('replayPlayPause');
+        this.trainingControls = document.getElementById('trainingControls');
+        this.presetPicker = document.getElementById('presetPicker');
+        this.modePicker = document.getElementById('modePicker');
+        this.skinPicker = document.getElementById('skinPicker');
+        this.skinPreview = document.getElementById('skinPreview');
+        this.themePicker = document.getElementById('themePicker');
+        this.themeRotation = document.getElementById('themeRotation');
+        this.muteButton = document.getElementById('muteButton');
+        this.hapticsPicker = document.getElementById('hapticsPicker');
+        this.flapKeyPicker = document.getElementById('flapKeyPicker');
+        this.pluginSettings = document.getElementById('pluginSettings');
+        this.gameOverTitle = this.gameOverScreen.querySelector('.game-over-title');
+    }
+
+    // Render current game state
+    render(alpha = 1) {
+        const state = this.stateManager;
+        const STATES = state.STATES;
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw background elements
+        this.renderBackground(alpha);
+        this.runDrawHooks('beforeWorld', alpha);
+
+        switch (state.getCurrentState()) {
+            case STATES.MENU:
+                this.renderMenuState(alpha);
+                break;
+            case STATES.PLAYING:
+                this.renderPlayingState(alpha);
+                break;
+            case STATES.GAME_OVER:
+                this.renderGameOverState(alpha);
+                break;
+            case STATES.REPLAY:
+                this.renderReplayState(alpha);
+                break;
+            case STATES.TRAINING:
+                this.renderTrainingState(alpha);
+                break;
+            case STATES.PAUSED:
+            case STATES.RESUMING:
+                this.renderPausedState();
+                break;
+        }
+
+        this.runDrawHooks('afterWorld', alpha);
+
+        // Achievement unlocks show on top of everything
+        this.renderToast();
+    }
+
+    // Render background: the theme's sky, ambient particles and the parallax scenery
+    renderBackground(alpha) {
+        const state = this.stateManager;
+        const theme = state.themes.getTheme();
+        const groundHeight = 50;
+        const groundY = this.canvas.height - groundHeight;
+
+        // Draw sky
+        const sky = this.ctx.createLinearGradient(0, 0, 0, groundY);
+        for (const [offset, color] of theme.sky) {
+            sky.addColorStop(offset, color);
+        }
+        this.ctx.fillStyle = sky;
+        this.ctx.fillRect(0, 0, this.canvas.width, groundY);
+
+        // Draw ambient particles
+        this.renderParticles(theme.particles, groundY);
+
+        // Draw clouds, skyline, bushes and the scrolling ground
+        state.parallax.render(this.ctx, theme, alpha);
+    }
+
+    // Render menu state
+    renderMenuState(alpha) {
+        const state = this.stateManager;
+
+        // Render background pipes
+        state.pipeManager.render(this.ctx, alpha);
+
+        // Render animated menu bird in the selected skin
+        const skin = state.bird.getSkin();
+        const menuBirdY = state.menuBirdPreviousY + (state.menuBirdY - state.menuBirdPreviousY) * alpha;
+        this.ctx.save();
+        this.ctx.translate(160, menuBirdY);
+        this.ctx.rotate(Math.sin(Date.now() * 0.002) * 0.1);
+        skin.draw(this.ctx, state.bird, Date.now());
+        this.ctx.restore();
+
+        // And the start screen's preview
+        this.renderSkinPreview(skin);
+    }
+
+    // Draw a skin, enlarged, into the start screen's preview canvas
+    renderSkinPreview(skin) {
+        if (!this.skinPreview) return;
+
+        const ctx = this.skinPreview.getContext('2d');
+        ctx.clearRect(0, 0, this.skinPreview.width, this.skinPreview.height);
+        ctx.save();
+        ctx.translate(this.skinPreview.width / 2, this.skinPreview.height / 2);
+        ctx.scale(1.5, 1.5);
+        skin.draw(ctx, this.stateManager.bird, Date.now());
+        ctx.restore();
+    }
+
+    // Render playing state
+    renderPlayingState(alpha) {
+        const state = this.stateManager;
+
+        // Render pipes, extra obstacles and power-ups
+        state.pipeManager.render(this.ctx, alpha);
+        this.renderObstacles(alpha);
+        state.itemManager.render(this.ctx, alpha);
+
+        // Render bird (the mode may flash it) behind its trail, in its shield bubble if it has one
+        this.renderTrail(alpha);
+        this.ctx.save();
+        this.ctx.globalAlpha = state.mode.getBirdAlpha();
+        state.bird.render(this.ctx, alpha);
+        this.ctx.restore();
+        this.renderShield(alpha);
+
+        // Render score
+        state.scoreManager.renderScore(this.ctx);
+
+        // Render the mode's HUD line, the run's coins, power-up timers and any extra HUD widgets
+        this.renderModeHud();
+        this.renderCoinCount();
+        this.renderPowerUpTimers();
+        this.runDrawHooks('hud', alpha);
+
+        // Render score animations
+        state.scoreManager.updateAnimations(this.ctx);
+    }
+
+    // Render the game mode's HUD line (e.g. the Time Attack clock) under the score
+    renderModeHud() {
+        const text = this.stateManager.mode.getHudText();
+        if (!text) return;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.shadowBlur = 4;
+        this.ctx.fillText(text, this.canvas.width / 2, 100);
+        this.ctx.restore();
+    }
+
+    // Render the coins picked up this run, under the pause button
+    renderCoinCount() {
+        const coins = this.stateManager.runCoins;
+        if (!coins) return;
+
+        this.ctx.save();
+        this.ctx.fillStyle = ItemManager.TYPES.coin.color;
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.shadowBlur = 4;
+        this.ctx.fillText(`🪙 ${coins}`, 20, 66);
+        this.ctx.restore();
+    }
+
+    // Render the trail bought in the shop: dots dropped where the bird flew, scrolling
+    // away with the pipes and fading as they go
+    renderTrail(alpha) {
+        const state = this.stateManager;
+        const trail = state.trail;
+        const points = this.trailPoints;
+        if (!trail) return;
+
+        // A new run (or a rewound replay) starts a new trail
+        const distance = state.runDistance;
+        if (points.length > 0 && distance < points[points.length - 1].distance) {
+            points.length = 0;
+        }
+
+        const bird = state.bird;
+        const last = points[points.length - 1];
+        if (!last || distance - last.distance >= CanvasRenderer.TRAIL_SPACING) {
+            const y = bird.previousY + (bird.y - bird.previousY) * alpha;
+            points.push({ distance, y, index: this.trailCount++ });
+        }
+        while (points.length > 0 && distance - points[0].distance > CanvasRenderer.TRAIL_LENGTH) {
+            points.shift();
+        }
+
+        this.ctx.save();
+        for (const point of points) {
+            const age = (distance - point.distance) / CanvasRenderer.TRAIL_LENGTH;
+            this.ctx.globalAlpha = 1 - age;
+            this.ctx.fillStyle = trail.colors[point.index % trail.colors.length];
+            this.ctx.beginPath();
+            this.ctx.arc(bird.x - (distance - point.distance), point.y, trail.size * (1 - age / 2), 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+    }
+
+    // Render a bubble around the bird while it has a shield
+    renderShield(alpha) {
+        const state = this.stateManager;
+        if (!state.itemManager.isActive('shield')) return;
+
+        const bird = state.bird;
+        const y = bird.previousY + (bird.y - bird.previousY) * alpha;
+        const color = ItemManager.TYPES.shield.color;
+        this.ctx.save();
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = 0.25;
+        this.ctx.beginPath();
+        this.ctx.arc(bird.x, y, bird.width / 2 + 8, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 0.8;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Render a ring for each active power-up down the right edge, emptying as its time runs out
+    renderPowerUpTimers() {
+        const effects = this.stateManager.itemManager.getActiveEffects();
+        const radius = 14;
+
+        effects.forEach((effect, index) => {
+            const x = this.canvas.width - radius - 10;
+            const y = 20 + radius + index * (radius * 2 + 8);
+
+            this.ctx.save();
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            // Time left, clockwise from the top
+            this.ctx.strokeStyle = effect.color;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius - 1.5, -Math.PI / 2, -Math.PI / 2 + effect.fraction * Math.PI * 2);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = 'white';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(effect.icon, x, y + 1);
+            this.ctx.restore();
+        });
+    }
+
+    // Render the state manager's extra obstacles (see GameStateManager.addObstacle)
+    renderObstacles(alpha) {
+        for (const obstacle of this.stateManager.obstacles) {
+            this.ctx.save();
+            obstacle.render(this.ctx, alpha);
+            this.ctx.restore();
+        }
+    }
+
+    // Add extra drawing at a stage of every frame: 'beforeWorld', 'hud' or 'afterWorld'
+    addDrawHook(stage, draw) {
+        this.drawHooks[stage].push(draw);
+    }
+
+    // Run the extra drawing of a stage, each with its own canvas state
+    runDrawHooks(stage, alpha) {
+        for (const draw of this.drawHooks[stage]) {
+            this.ctx.save();
+            draw(this.ctx, alpha);
+            this.ctx.restore();
+        }
+    }
+
+    // Render paused state: the frozen run, plus the countdown while resuming
+    renderPausedState() {
+        const state = this.stateManager;
+
+        // Nothing moves, so draw the last step exactly
+        this.renderPlayingState(1);
+
+        if (state.getCurrentState() !== state.STATES.RESUMING) {
+            return;
+        }
+
+        // Countdown number, pulsing as each second starts
+        const count = Math.ceil(state.resumeCountdown);
+        const pulse = 1 + (state.resumeCountdown - Math.floor(state.resumeCountdown)) * 0.3;
+        this.ctx.save();
+        this.ctx.translate(this.canvas.width / 2, this.canvas.height / 2 - 40);
+        this.ctx.scale(pulse, pulse);
+        this.ctx.fillStyle = 'white';
+        this.ctx.strokeStyle = '#333';
+        this.ctx.lineWidth = 4;
+        this.ctx.font = 'bold 64px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.strokeText(count, 0, 0);
+        this.ctx.fillText(count, 0, 0);
+        this.ctx.restore();
+    }
+
+    // Render game over state
+    renderGameOverState(alpha) {
+        const state = this.stateManager;
+
+        // Render pipes, extra obstacles and power-ups
+        state.pipeManager.render(this.ctx, alpha);
+        this.renderObstacles(alpha);
+        state.itemManager.render(this.ctx, alpha);
+
+        // Render bird
+        state.bird.render(this.ctx, alpha);
+
+        // Render score
+        state.scoreManager.renderScore(this.ctx);
+
+        // Render score animations
+        state.scoreManager.updateAnimations(this.ctx);
+
+        // Add explosion effect at collision point
+        if (state.collisionPoint) {
+            this.renderExplosion(state.collisionPoint.x, state.collisionPoint.y);
+        }
+    }
+
+    // Render replay state
+    renderReplayState(alpha) {
+        const state = this.stateManager;
+
+        if (state.replayFinished) {
+            this.renderGameOverState(alpha);
+        } else {
+            this.renderPlayingState(alpha);
+        }
+
+        // Replay label
+        this.ctx.save();
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.shadowBlur = 4;
+        const label = state.replayPaused ? 'REPLAY (paused)' : `REPLAY ${state.replaySpeed}x`;
+        this.ctx.fillText(label, 10, 20);
+
+        // Progress bar
+        const progress = state.replay.getProgress(state.runFrame);
+        this.ctx.shadowBlur = 0;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        this.ctx.fillRect(10, 42, 100, 4);
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.fillRect(10, 42, 100 * progress, 4);
+        this.ctx.restore();
+    }
+
+    // Render training state: the whole population on its shared course
+    renderTrainingState(alpha) {
+        const trainer = this.stateManager.trainer;
+
+        // Render pipes
+        trainer.pipeManager.render(this.ctx, alpha);
+
+        // Render birds, the first one still flying on top and opaque
+        const alive = trainer.getAliveAgents();
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.4;
+        for (let i = alive.length - 1; i > 0; i--) {
+            alive[i].bird.render(this.ctx, alpha);
+        }
+        this.ctx.restore();
+        if (alive.length > 0) {
+            alive[0].bird.render(this.ctx, alpha);
+        }
+
+        // Training stats
+        const stats = trainer.getStats();
+        this.ctx.save();
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.shadowBlur = 4;
+        this.ctx.fillText(`Generation ${stats.generation}`, 10, 20);
+        this.ctx.fillText(`Alive: ${stats.alive}/${stats.population}`, 10, 38);
+        this.ctx.fillText(`Score: ${stats.score} (best ${stats.bestScore})`, 10, 56);
+        this.ctx.fillText(`Best fitness: ${stats.bestFitness}`, 10, 74);
+        this.ctx.restore();
+    }
+
+    // Render a theme's ambient particles above the ground. They are a pure function
+    // of the clock, so there is no particle state to keep or reset
+    renderParticles(particles, groundY) {
+        const time = Date.now() * 0.001;
+        const width = this.canvas.width;
+
+        this.ctx.save();
+        for (let i = 0; i < particles.count; i++) {
+            let x;
+            let y;
+            let radius = 2;
+            let opacity;
+
+            switch (particles.type) {
+                case 'stars': // Fixed, twinkling
+                    x = (i * 73) % width;
+                    y = (i * 137) % (groundY * 0.7);
+                    radius = 1 + (i % 2) * 0.5;
+                    opacity = 0.5 + Math.sin(time * 2 + i) * 0.4;
+                    break;
+                case 'snow': // Falling and swaying
+                    x = ((i * 53) % width) + Math.sin(time + i) * 10;
+                    y = (time * 30 * (0.5 + (i % 5) / 5) + i * 97) % groundY;
+                    radius = 1.5 + (i % 3) * 0.5;
+                    opacity = 0.8;
+                    break;
+                case 'dust': // Blown along the ground
+                    x = width - (time * 60 * (0.5 + (i % 4) / 4) + i * 83) % (width + 20);
+                    y = groundY - 10 - (i * 37) % 150 + Math.sin(time * 3 + i) * 4;
+                    radius = 1.5;
+                    opacity = 0.5;
+                    break;
+                case 'glow': // Rising, with a glow
+                    x = (i * 47) % width;
+                    y = groundY - (time * 20 * (0.5 + (i % 3) / 3) + i * 71) % groundY;
+                    opacity = 0.4 + Math.sin(time * 3 + i) * 0.3;
+                    this.ctx.shadowColor = `rgb(${particles.color})`;
+                    this.ctx.shadowBlur = 6;
+                    break;
+                default: // 'sparkle': drifting in the upper sky
+                    x = (Math.sin(time + i) + 1) * width / 2;
+                    y = (Math.cos(time * 0.7 + i) + 1) * 100 + 50;
+                    opacity = (Math.sin(time * 2 + i) + 1) * 0.3;
+            }
+
+            this.ctx.fillStyle = `rgba(${particles.color}, ${opacity})`;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+    }
+
+    // Render explosion effect
+    renderExplosion(x, y) {
+        const time = Date.now() * 0.01;
+        const maxRadius = 30;
+
+        for (let i = 0; i < 8; i++) {
+            const angle = (Math.PI * 2 / 8) * i;
+            const radius = (Math.sin(time) + 1) * maxRadius / 2;
+            const particleX = x + Math.cos(angle) * radius;
+            const particleY = y + Math.sin(angle) * radius;
+
+            this.ctx.fillStyle = `rgba(255, 100, 100, ${1 - radius / maxRadius})`;
+            this.ctx.beginPath();
+            this.ctx.arc(particleX, particleY, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    // UI Helper methods
+
+    // Show the overlay with one of its screens, hiding the others
+    showScreen(screen) {
+        this.gameOverlay.classList.remove('hidden');
+        for (const other of [this.startScreen, this.settingsScreen, this.leaderboardScreen,
+            this.statsScreen, this.achievementsScreen, this.shopScreen, this.gameOverScreen, this.pauseScreen]) {
+            other.classList.toggle('hidden', other !== screen);
+        }
+    }
+
+    showStartScreen() {
+        this.showScreen(this.startScreen);
+    }
+
+    showSettingsScreen() {
+        this.showScreen(this.settingsScreen);
+    }
+
+    // Show a record category's leaderboard; entries are Leaderboard entries, best first
+    showLeaderboardScreen(title, entries) {
+        this.leaderboardTitle.textContent = title;
+        this.leaderboardList.replaceChildren();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = 'No runs yet';
+            this.leaderboardList.appendChild(empty);
+        }
+        entries.forEach((entry, index) => {
+            const row = document.createElement('li');
+            const cells = [
+                `#${index + 1}`,
+                entry.initials,
+                entry.score,
+                entry.date ? new Date(entry.date).toLocaleDateString() : '',
+                CanvasRenderer.formatDuration(entry.duration)
+            ];
+            for (const text of cells) {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            this.leaderboardList.appendChild(row);
+        });
+
+        this.showScreen(this.leaderboardScreen);
+    }
+
+    // Show a record category's run statistics (see RunHistory.getStats)
+    showStatsScreen(title, stats) {
+        this.statsTitle.textContent = title;
+
+        const averages = stats.averages;
+        this.fillStatsList(this.statsSummary, stats.runs === 0 ? [['No runs yet', '']] : [
+            ['Runs', stats.runs],
+            ['Best', stats.best],
+            ['Average score', averages.score],
+            ['Average time', CanvasRenderer.formatDuration(averages.duration)],
+            ['Average jumps', averages.jumps],
+            ['Average distance', CanvasRenderer.formatDistance(averages.distance)],
+            [`Best streak of ${RunHistory.STREAK_SCORE}+`, stats.streaks.scoring],
+            ['Best streak of improvements', stats.streaks.improving]
+        ]);
+        this.fillStatsList(this.statsCauses, Object.entries(stats.causes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([cause, count]) => [RunHistory.CAUSES[cause] ?? cause, count]));
+
+        this.fillStatsChart(this.statsHistogram, stats.histogram.map(bucket => ({
+            value: bucket.count,
+            label: bucket.from === bucket.to ? `${bucket.from}` : `${bucket.from}-${bucket.to}`
+        })));
+        this.fillStatsChart(this.statsTrend, stats.trend.scores.map(score => ({ value: score })));
+
+        const { recentAverage, previousAverage } = stats.trend;
+        if (stats.runs === 0) {
+            this.statsTrendNote.textContent = '';
+        } else if (previousAverage === null) {
+            this.statsTrendNote.textContent = `Averaging ${recentAverage} lately`;
+        } else {
+            const direction = recentAverage > previousAverage ? 'up' : recentAverage < previousAverage ? 'down' : 'level';
+            this.statsTrendNote.textContent = `Averaging ${recentAverage} over the last ${RunHistory.TREND_WINDOW} runs (${direction} from ${previousAverage})`;
+        }
+
+        this.showScreen(this.statsScreen);
+    }
+
+    // Show every achievement, unlocked or not, with its progress (see AchievementManager.getAll)
+    showAchievementsScreen(achievements) {
+        const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+        this.achievementsSummary.textContent = `${unlocked} of ${achievements.length} unlocked`;
+        this.achievementList.replaceChildren();
+
+        for (const achievement of achievements) {
+            const item = document.createElement('li');
+            item.className = achievement.unlocked ? 'achievement unlocked' : 'achievement';
+
+            const badge = document.createElement('span');
+            badge.className = 'achievement-badge';
+            badge.textContent = achievement.unlocked ? '🏆' : '🔒';
+
+            const title = document.createElement('strong');
+            title.textContent = achievement.title;
+            const description = document.createElement('span');
+            description.textContent = achievement.description;
+
+            const bar = document.createElement('div');
+            bar.className = 'achievement-progress';
+            const fill = document.createElement('div');
+            fill.style.width = `${Math.round(Math.min(1, achievement.progress / achievement.goal) * 100)}%`;
+            bar.appendChild(fill);
+
+            const status = document.createElement('span');
+            status.className = 'achievement-status';
+            status.textContent = achievement.unlocked
+                ? `Unlocked ${new Date(achievement.unlocked).toLocaleDateString()}`
+                : `${achievement.progress} / ${achievement.goal}`;
+
+            const details = document.createElement('div');
+            details.append(title, description, bar, status);
+            item.append(badge, details);
+            this.achievementList.appendChild(item);
+        }
+
+        this.showScreen(this.achievementsScreen);
+    }
+
+    // Show the shop's items by category with the coins to spend (see Shop.getItems)
+    showShopScreen(items, balance) {
+        this.shopBalance.textContent = balance;
+        this.shopList.replaceChildren();
+
+        for (const [category, label] of Object.entries(Shop.CATEGORIES)) {
+            const heading = document.createElement('h3');
+            heading.className = 'settings-heading';
+            heading.textContent = label;
+            this.shopList.appendChild(heading);
+
+            for (const item of items.filter(candidate => candidate.category === category)) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'shop-item';
+                button.dataset.item = item.id;
+                button.classList.toggle('equipped', item.equipped);
+                button.classList.toggle('locked', !item.owned && !item.affordable);
+
+                const swatch = document.createElement('span');
+                swatch.className = 'shop-swatch';
+                swatch.style.background = CanvasRenderer.getSwatch(item);
+
+                const name = document.createElement('strong');
+                name.textContent = item.label;
+
+                const status = document.createElement('span');
+                status.className = 'shop-status';
+                status.textContent = item.equipped ? 'Equipped' : item.owned ? 'Owned' : `🪙 ${item.price}`;
+
+                button.append(swatch, name, status);
+                this.shopList.appendChild(button);
+            }
+        }
+
+        this.showScreen(this.shopScreen);
+    }
+
+    // Show the coins to spend, and on the game over screen the coins the run earned
+    updateCoins(balance, earned = 0) {
+        if (this.coinBalance) {
+            this.coinBalance.textContent = balance;
+        }
+        if (this.finalCoins) {
+            this.finalCoins.textContent = earned;
+        }
+    }
+
+    // Fill a <dl> with [label, value] rows
+    fillStatsList(list, rows) {
+        list.replaceChildren();
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.append(term, detail);
+        }
+    }
+
+    // Fill a bar chart container with { value, label } bars, scaled to the tallest
+    fillStatsChart(chart, bars) {
+        chart.replaceChildren();
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        for (const bar of bars) {
+            const column = document.createElement('div');
+            column.className = 'stats-column';
+            column.title = bar.label ? `${bar.label}: ${bar.value}` : `${bar.value}`;
+
+            const fill = document.createElement('div');
+            fill.className = 'stats-bar';
+            fill.style.height = `${Math.round(bar.value / max * 100)}%`;
+            column.appendChild(fill);
+
+            if (bar.label) {
+                const label = document.createElement('span');
+                label.textContent = bar.label;
+                column.appendChild(label);
+            }
+            chart.appendChild(column);
+        }
+    }
+
+    showGameOverScreen(title = 'Game Over') {
+        if (this.gameOverTitle) {
+            this.gameOverTitle.textContent = title;
+        }
+        this.hideInitialsPrompt();
+        this.showScreen(this.gameOverScreen);
+    }
+
+    showPauseScreen() {
+        this.showScreen(this.pauseScreen);
+    }
+
+    hideOverlay() {
+        this.gameOverlay.classList.add('hidden');
+    }
+
+    updateFinalScores(score, highScore) {
+        if (this.finalScore) {
+            this.finalScore.textContent = score;
+        }
+        if (this.finalHighScore) {
+            this.finalHighScore.style.color = '';
+            this.finalHighScore.style.fontWeight = '';
+            this.finalHighScore.textContent = highScore;
+        }
+    }
+
+    // Celebrate a run that made the leaderboard and ask for the player's initials
+    celebrateLeaderboardRank(rank, initials) {
+        if (this.finalHighScore) {
+            this.finalHighScore.style.color = '#FFD700';
+            this.finalHighScore.style.fontWeight = 'bold';
+            this.finalHighScore.textContent = rank === 1 ? 'NEW HIGH SCORE!' : `NEW #${rank} ON THE LEADERBOARD!`;
+        }
+        if (this.initialsForm) {
+            this.initialsInput.value = initials === Leaderboard.ANONYMOUS ? '' : initials;
+            this.initialsForm.classList.remove('hidden');
+        }
+    }
+
+    // Queue a toast announcing an unlocked achievement (toasts show one at a time)
+    showAchievementToast(achievement) {
+        this.toasts.push({ title: achievement.title, start: null });
+    }
+
+    // Draw the current toast at the top of the canvas, sliding in and back out
+    renderToast() {
+        const toast = this.toasts[0];
+        if (!toast) return;
+
+        const now = Date.now();
+        toast.start ??= now;
+        const elapsed = (now - toast.start) / 1000;
+        const duration = CanvasRenderer.TOAST_DURATION;
+        if (elapsed >= duration) {
+            this.toasts.shift();
+            return;
+        }
+
+        const width = 240;
+        const height = 50;
+        const slide = Math.min(1, elapsed / 0.3, (duration - elapsed) / 0.3);
+        const x = (this.canvas.width - width) / 2;
+        const y = -height + (height + 12) * slide;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.strokeStyle = '#FFD700';
+        this.ctx.lineWidth = 2;
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.fillText('🏆 ACHIEVEMENT UNLOCKED', this.canvas.width / 2, y + 8);
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = 'bold 17px Arial';
+        this.ctx.fillText(toast.title, this.canvas.width / 2, y + 24);
+        this.ctx.restore();
+    }
+
+    // Hide the initials entry
+    hideInitialsPrompt() {
+        if (this.initialsForm) {
+            this.initialsInput.blur();
+            this.initialsForm.classList.add('hidden');
+        }
+    }
+
+    // Highlight the selected difficulty preset
+    updatePresetPicker(preset) {
+        this.updatePicker(this.presetPicker, preset);
+    }
+
+    // Highlight the selected game mode
+    updateModePicker(mode) {
+        this.updatePicker(this.modePicker, mode);
+    }
+
+    // Highlight the selected skin
+    updateSkinPicker(skin) {
+        this.updatePicker(this.skinPicker, skin);
+    }
+
+    // Highlight the selected theme and show the rotation setting
+    updateThemePicker(theme, rotateEvery) {
+        this.updatePicker(this.themePicker, theme);
+        if (this.themeRotation) {
+            this.themeRotation.value = String(rotateEvery);
+        }
+    }
+
+    // Mark the [data-value] button of a picker that matches the value
+    updatePicker(picker, value) {
+        if (!picker) return;
+
+        for (const button of picker.querySelectorAll('[data-value]')) {
+            button.classList.toggle('active', button.dataset.value === value);
+        }
+    }
+
+    showPauseButton() {
+        if (this.pauseButton) {
+            this.pauseButton.classList.remove('hidden');
+        }
+    }
+
+    hidePauseButton() {
+        if (this.pauseButton) {
+            this.pauseButton.classList.add('hidden');
+        }
+    }
+
+    showReplayControls() {
+        if (this.replayControls) {
+            this.replayControls.classList.remove('hidden');
+        }
+    }
+
+    hideReplayControls() {
+        if (this.replayControls) {
+            this.replayControls.classList.add('hidden');
+        }
+    }
+
+    updateReplayControls(status) {
+        if (!this.replayControls) return;
+
+        if (this.replayPlayPauseButton) {
+            this.replayPlayPauseButton.textContent = status.finished ? 'Again' : status.paused ? 'Play' : 'Pause';
+        }
+
+        for (const button of this.replayControls.querySelectorAll('[data-speed]')) {
+            button.classList.toggle('active', Number(button.dataset.speed) === status.speed);
+        }
+    }
+
+    showTrainingControls() {
+        if (this.trainingControls) {
+            this.trainingControls.classList.remove('hidden');
+        }
+    }
+
+    hideTrainingControls() {
+        if (this.trainingControls) {
+            this.trainingControls.classList.add('hidden');
+        }
+    }
+
+    updateTrainingControls(status) {
+        if (!this.trainingControls) return;
+
+        for (const button of this.trainingControls.querySelectorAll('[data-speed]')) {
+            button.classList.toggle('active', Number(button.dataset.speed) === status.speed);
+        }
+    }
+
+    // Play a sound effect through the audio manager, with a buzz for the cues that have one
+    playSound(name) {
+        if (this.audio) {
+            this.audio.play(name);
+        }
+
+        const pattern = CanvasRenderer.HAPTIC_PATTERNS[name];
+        if (this.haptics && pattern && typeof navigator !== 'undefined' && navigator.vibrate) {
+            navigator.vibrate(pattern);
+        }
+    }
+
+    // Turn vibration on or off
+    setHaptics(enabled) {
+        this.haptics = Boolean(enabled);
+    }
+
+    // Play a music track
+    playMusic(track) {
+        if (this.music) {
+            this.music.play(track);
+        }
+    }
+
+    // Stop the music with its game over sting
+    stopMusic() {
+        if (this.music) {
+            this.music.stop();
+        }
+    }
+
+    // Hold the music while the game is paused
+    pauseMusic() {
+        if (this.music) {
+            this.music.pause();
+        }
+    }
+
+    // Carry on with the music
+    resumeMusic() {
+        if (this.music) {
+            this.music.resume();
+        }
+    }
+
+    // Let the music follow the run's difficulty
+    setMusicIntensity(intensity) {
+        if (this.music) {
+            this.music.setIntensity(intensity);
+        }
+    }
+
+    // Show the mute state and volumes; settings is AudioManager.getSettings()
+    updateAudioControls(settings) {
+        if (this.muteButton) {
+            this.muteButton.textContent = settings.muted ? '🔇' : '🔊';
+            this.muteButton.setAttribute('aria-label', settings.muted ? 'Unmute' : 'Mute');
+        }
+
+        for (const button of document.querySelectorAll('.audio-settings .music-toggle')) {
+            button.textContent = settings.musicMuted ? 'Off' : 'On';
+            button.classList.toggle('active', !settings.musicMuted);
+        }
+
+        for (const slider of document.querySelectorAll('.audio-settings [data-channel]')) {
+            slider.value = String(settings.volumes[slider.dataset.channel]);
+        }
+    }
+
+    // Add a plugin setting to the settings screen: a heading and a picker of its options
+    addPluginSetting(id, label, options, value) {
+        if (!this.pluginSettings) return;
+
+        const heading = document.createElement('h3');
+        heading.className = 'settings-heading';
+        heading.textContent = label;
+
+        const picker = document.createElement('div');
+        picker.className = 'picker';
+        picker.dataset.setting = id;
+        for (const [optionValue, optionLabel] of Object.entries(options)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.value = optionValue;
+            button.textContent = optionLabel;
+            picker.appendChild(button);
+        }
+
+        this.pluginSettings.append(heading, picker);
+        this.updatePluginSetting(id, value);
+    }
+
+    // Highlight the chosen option of a plugin setting
+    updatePluginSetting(id, value) {
+        if (!this.pluginSettings) return;
+
+        for (const picker of this.pluginSettings.querySelectorAll('[data-setting]')) {
+            if (picker.dataset.setting === id) {
+                this.updatePicker(picker, value);
+            }
+        }
+    }
+
+    // Show the haptics and control settings; settings is { haptics, flapKey }
+    updateSettingsScreen(settings) {
+        this.updatePicker(this.hapticsPicker, settings.haptics ? 'on' : 'off');
+        this.updatePicker(this.flapKeyPicker, settings.flapKey);
+    }
+
+    // Distance in pixels as metres, e.g. '42 m'
+    static formatDistance(pixels) {
+        return `${Math.round(pixels / CanvasRenderer.PIXELS_PER_METRE)} m`;
+    }
+
+    // Run length as m:ss (blank when unknown, e.g. for migrated records)
+    static formatDuration(seconds) {
+        if (typeof seconds !== 'number') {
+            return '';
+        }
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    // CSS background previewing a shop item's look (a trail's colours side by side)
+    static getSwatch(item) {
+        const colors = item.colors ? [item.colors.body]
+            : item.trail ? item.trail.colors
+            : item.pipes ? [item.pipes.pipeColor]
+            : ['transparent'];
+        return colors.length > 1 ? `linear-gradient(90deg, ${colors.join(', ')})` : colors[0];
+    }
+}
+
+// Vibration patterns (milliseconds) for sound cues, used when haptics are on
+CanvasRenderer.HAPTIC_PATTERNS = {
+    score: 15,
+    hit: [40, 30, 80]
+};
+
+// Seconds an achievement toast stays up
+CanvasRenderer.TOAST_DURATION = 3;
+
+// Trail dots (see renderTrail): pixels flown between dots, and how far behind the bird they last
+CanvasRenderer.TRAIL_SPACING = 6;
+CanvasRenderer.TRAIL_LENGTH = 60;
+
+// Screen pixels to a metre when showing distances
+CanvasRenderer.PIXELS_PER_METRE = 50;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasRenderer;
+}
\ No newline at end of file
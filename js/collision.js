@@ -0,0 +1,78 @@
+// Collision holds the geometry tests behind shape-accurate hit detection:
+// circles and convex polygons (the bird) against axis-aligned rectangles (the pipes).
+// Rectangles are { x, y, width, height }, circles { x, y, radius }, points { x, y }.
+class Collision {
+    // Shrink a rectangle on every side (negative amounts grow it)
+    static insetRect(rect, amount) {
+        return {
+            x: rect.x + amount,
+            y: rect.y + amount,
+            width: rect.width - amount * 2,
+            height: rect.height - amount * 2
+        };
+    }
+
+    // Check if a circle overlaps a rectangle
+    static circleIntersectsRect(circle, rect) {
+        if (rect.width <= 0 || rect.height <= 0) return false;
+
+        // Closest point of the rectangle to the circle's centre
+        const closestX = Math.max(rect.x, Math.min(circle.x, rect.x + rect.width));
+        const closestY = Math.max(rect.y, Math.min(circle.y, rect.y + rect.height));
+        const dx = circle.x - closestX;
+        const dy = circle.y - closestY;
+
+        return dx * dx + dy * dy < circle.radius * circle.radius;
+    }
+
+    // Check if a convex polygon overlaps a rectangle (separating axis test)
+    static polygonIntersectsRect(points, rect) {
+        if (rect.width <= 0 || rect.height <= 0) return false;
+
+        // Rectangle axes: compare bounding boxes
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        if (Math.max(...xs) <= rect.x || Math.min(...xs) >= rect.x + rect.width ||
+            Math.max(...ys) <= rect.y || Math.min(...ys) >= rect.y + rect.height) {
+            return false;
+        }
+
+        // Polygon axes: the normal of each edge
+        const corners = [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const axis = { x: a.y - b.y, y: b.x - a.x };
+
+            const polygon = Collision.project(points, axis);
+            const box = Collision.project(corners, axis);
+            if (polygon.max <= box.min || box.max <= polygon.min) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Range covered by points projected onto an axis
+    static project(points, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const point of points) {
+            const value = point.x * axis.x + point.y * axis.y;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        return { min, max };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Collision;
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+// DifficultyCurve turns the score into pipe settings. The curve is plain data:
+// keyframes by score, linearly interpolated in between and held after the last
+// one, so it can be tuned (or swapped for a whole new curve) without code changes.
+class DifficultyCurve {
+    constructor(keyframes = DifficultyCurve.DEFAULT_KEYFRAMES) {
+        this.setKeyframes(keyframes);
+    }
+
+    // Replace the curve; keyframes are sorted by score
+    setKeyframes(keyframes) {
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error('A difficulty curve needs at least one keyframe');
+        }
+        this.keyframes = JSON.parse(JSON.stringify(keyframes)).sort((a, b) => a.score - b.score);
+    }
+
+    // Get the keyframes (plain data, e.g. for saving with a replay)
+    getKeyframes() {
+        return JSON.parse(JSON.stringify(this.keyframes));
+    }
+
+    // Pipe settings at a score: every keyframe field except score, interpolated
+    // (or held from the last keyframe reached, see DifficultyCurve.STEPPED)
+    getSettings(score) {
+        const { before, after, t } = this.locate(score);
+        const settings = {};
+
+        for (const key of Object.keys(before)) {
+            if (key === 'score') continue;
+            const stepped = DifficultyCurve.STEPPED.includes(key);
+            settings[key] = DifficultyCurve.interpolate(before[key], after[key], stepped ? 0 : t);
+        }
+
+        return settings;
+    }
+
+    // Level at a score: how many keyframes have been reached (starting at 1)
+    getLevel(score) {
+        return Math.max(1, this.keyframes.filter(keyframe => keyframe.score <= score).length);
+    }
+
+    // How far along the curve a score is: 0 at the first keyframe, 1 from the last one on
+    getProgress(score) {
+        const first = this.keyframes[0].score;
+        const last = this.keyframes[this.keyframes.length - 1].score;
+        if (last === first) {
+            return score >= last ? 1 : 0;
+        }
+        return Math.min(1, Math.max(0, (score - first) / (last - first)));
+    }
+
+    // Find the keyframes around a score and how far between them it lies
+    locate(score) {
+        const frames = this.keyframes;
+        if (score <= frames[0].score) {
+            return { before: frames[0], after: frames[0], t: 0 };
+        }
+
+        for (let i = 1; i < frames.length; i++) {
+            if (score < frames[i].score) {
+                const before = frames[i - 1];
+                const after = frames[i];
+                return { before, after, t: (score - before.score) / (after.score - before.score) };
+            }
+        }
+
+        const last = frames[frames.length - 1];
+        return { before: last, after: last, t: 0 };
+    }
+
+    // Blend two keyframe values: numbers, or maps of numbers
+    static interpolate(from, to, t) {
+        if (from !== null && typeof from === 'object') {
+            const blended = {};
+            for (const key of Object.keys(from)) {
+                blended[key] = DifficultyCurve.interpolate(from[key], to ? to[key] : undefined, t);
+            }
+            return blended;
+        }
+        return to === undefined ? from : from + (to - from) * t;
+    }
+}
+
+// Default curve. Scales multiply PipeManager's base settings:
+// speedScale -> pipeSpeed, gapScale -> gapSize, spacingScale -> pipeSpacing;
+// spacingJitter varies each pipe's spacing by up to ± that fraction;
+// pipeTypes weighs the pipe types new pipes are picked from (see PipeType.TYPES)
+DifficultyCurve.DEFAULT_KEYFRAMES = [
+    {
+        score: 0, speedScale: 1, gapScale: 1, spacingScale: 1, spacingJitter: 0,
+        pipeTypes: { static: 1, moving: 0, closing: 0, staggered: 0, wide: 0 }
+    },
+    {
+        score: 10, speedScale: 1.05, gapScale: 0.98, spacingScale: 1, spacingJitter: 0.05,
+        pipeTypes: { static: 1, moving: 0.15, closing: 0, staggered: 0.1, wide: 0.1 }
+    },
+    {
+        score: 25, speedScale: 1.1, gapScale: 0.97, spacingScale: 0.98, spacingJitter: 0.1,
+        pipeTypes: { static: 1, moving: 0.3, closing: 0.15, staggered: 0.2, wide: 0.15 }
+    },
+    {
+        score: 50, speedScale: 1.2, gapScale: 0.96, spacingScale: 0.96, spacingJitter: 0.15,
+        pipeTypes: { static: 1, moving: 0.4, closing: 0.3, staggered: 0.3, wide: 0.2 }
+    },
+    {
+        score: 100, speedScale: 1.3, gapScale: 0.95, spacingScale: 0.95, spacingJitter: 0.2,
+        pipeTypes: { static: 1, moving: 0.5, closing: 0.4, staggered: 0.35, wide: 0.25 }
+    }
+];
+
+// Keyframe fields that change in steps rather than blending: pipe type weights
+// hold until the next keyframe, so a type weighted from 10 points on starts at 10
+DifficultyCurve.STEPPED = ['pipeTypes'];
+
+// Difficulty presets picked on the start screen. Each bundles the bird's physics
+// and the pipes' base settings in the shape of GameStateManager.getPhysicsConfig();
+// the curve above then scales the pipes from there as the score rises.
+// Gaps leave room for a full flap (jumpVelocity² / 2·gravity) plus the bird, and
+// faster presets space their pipes wider so there is time to climb between gaps.
+// powerUps is the chance of each power-up turning up in a new pipe's gap (see ItemManager).
+DifficultyCurve.PRESETS = {
+    easy: {
+        label: 'Easy',
+        bird: { gravity: 1500, jumpVelocity: -440, maxFallVelocity: 600 },
+        pipes: { gapSize: 130, pipeSpeed: 100, pipeSpacing: 220 },
+        powerUps: { shield: 0.06, slowMo: 0.05, shrink: 0.05, magnet: 0.04 }
+    },
+    normal: {
+        label: 'Normal',
+        bird: { gravity: 1800, jumpVelocity: -480, maxFallVelocity: 720 },
+        pipes: { gapSize: 100, pipeSpeed: 120, pipeSpacing: 200 },
+        powerUps: { shield: 0.04, slowMo: 0.04, shrink: 0.04, magnet: 0.03 }
+    },
+    hard: {
+        label: 'Hard',
+        bird: { gravity: 2100, jumpVelocity: -500, maxFallVelocity: 800 },
+        pipes: { gapSize: 100, pipeSpeed: 140, pipeSpacing: 200 },
+        powerUps: { shield: 0.03, slowMo: 0.03, shrink: 0.02, magnet: 0.02 }
+    },
+    insane: {
+        label: 'Insane',
+        bird: { gravity: 2400, jumpVelocity: -530, maxFallVelocity: 900 },
+        pipes: { gapSize: 100, pipeSpeed: 165, pipeSpacing: 210 },
+        powerUps: { shield: 0.02, slowMo: 0.02, shrink: 0.01, magnet: 0.01 }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifficultyCurve;
+}
\ No newline at end of file
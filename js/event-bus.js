@@ -0,0 +1,91 @@
+// EventBus is the game's publish/subscribe hub: input, state changes and what happens
+// during a run all go through one bus owned by Game, so anything (sound, effects,
+// achievements, outside code) can follow the game without being called directly.
+// Publishers declare the events they send (see InputHandler.EVENTS and
+// GameStateManager.EVENTS); using an undeclared name warns instead of failing
+// silently, and a listener that throws is logged without stopping the others.
+class EventBus {
+    constructor() {
+        this.listeners = new Map(); // Declared event name -> listeners, in subscription order
+    }
+
+    // Declare event names that may be published and subscribed to
+    declare(events) {
+        for (const event of events) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, []);
+            }
+        }
+    }
+
+    // Check if an event has been declared
+    has(event) {
+        return this.listeners.has(event);
+    }
+
+    // Call listener(...args) every time the event is published; returns a function that stops it
+    on(event, listener) {
+        const listeners = this.getListeners(event);
+        if (!listeners) {
+            return () => {};
+        }
+
+        listeners.push(listener);
+        return () => this.off(event, listener);
+    }
+
+    // Like on, but only for the next time the event is published
+    once(event, listener) {
+        const unsubscribe = this.on(event, (...args) => {
+            unsubscribe();
+            listener(...args);
+        });
+        return unsubscribe;
+    }
+
+    // Stop calling a listener
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    // Publish an event to its listeners
+    emit(event, ...args) {
+        const listeners = this.getListeners(event);
+        if (!listeners || listeners.length === 0) return;
+
+        // Copy, so listeners can unsubscribe (or subscribe others) while being called
+        for (const listener of [...listeners]) {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        }
+    }
+
+    // Listeners of a declared event, or null (with a warning) for an unknown one
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            console.warn(`Unknown event "${event}"`);
+            return null;
+        }
+        return listeners;
+    }
+
+    // Names of every declared event
+    getEvents() {
+        return [...this.listeners.keys()];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
\ No newline at end of file
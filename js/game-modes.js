@@ -0,0 +1,175 @@
+// GameMode decides the rules of a run: what a crash does, when the run ends,
+// what a pipe is worth and what the HUD shows besides the score. The state
+// manager calls these hooks from its fixed simulation step, so every mode stays
+// deterministic and replays reproduce it exactly. The base class holds the
+// classic rules; each mode overrides only the hooks it changes.
+class GameMode {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+        this.crashed = false; // True once a crash has ended the run
+    }
+
+    // Clear per-run state before a run (or a replay) starts
+    reset() {
+        this.crashed = false;
+    }
+
+    // Advance the mode's timers by one fixed step (deltaTime in seconds)
+    update(deltaTime) {}
+
+    // Points for passing a pipe
+    getPipePoints() {
+        return 1;
+    }
+
+    // React to a crash ('pipe', 'ground' or 'bounds'); returns true if it ends the run
+    handleCollision(game, collision) {
+        this.crashed = true;
+        return true;
+    }
+
+    // Check if the run has ended without a crash (e.g. the clock ran out)
+    isFinished() {
+        return false;
+    }
+
+    // Extra HUD line under the score, or null for none
+    getHudText() {
+        return null;
+    }
+
+    // Opacity to draw the bird at (modes can flash it, e.g. after a forgiven crash)
+    getBirdAlpha() {
+        return 1;
+    }
+
+    // Title of the game over screen for the run that just ended
+    getResultTitle() {
+        return 'Game Over';
+    }
+
+    // Create a mode by name (see GameMode.MODES); unknown names give Endless
+    static create(name) {
+        const Mode = GameMode.MODES[name];
+        if (!Mode) {
+            console.warn(`Unknown game mode "${name}"`);
+            return new EndlessMode();
+        }
+        return new Mode();
+    }
+}
+
+// Endless: the classic rules, one point per pipe until the first crash
+class EndlessMode extends GameMode {
+    constructor() {
+        super('endless', 'Endless');
+    }
+}
+
+// Time Attack: as many pipes as possible before the clock runs out; a crash ends the run early
+class TimeAttackMode extends GameMode {
+    constructor() {
+        super('timeAttack', 'Time Attack');
+        this.duration = 60; // seconds
+        this.elapsed = 0;
+    }
+
+    // Restart the clock
+    reset() {
+        super.reset();
+        this.elapsed = 0;
+    }
+
+    // Run the clock
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+    }
+
+    // Seconds left on the clock
+    getTimeLeft() {
+        return this.isFinished() ? 0 : this.duration - this.elapsed;
+    }
+
+    // The run ends when the clock reaches zero (with slack for float steps)
+    isFinished() {
+        return this.elapsed >= this.duration - 1e-9;
+    }
+
+    // Clock as m:ss
+    getHudText() {
+        const seconds = Math.ceil(this.getTimeLeft());
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    getResultTitle() {
+        return this.crashed ? 'Game Over' : 'Time\'s Up!';
+    }
+}
+
+// Zen: crashes cost points instead of ending the run; the run goes on until you quit
+class ZenMode extends GameMode {
+    constructor() {
+        super('zen', 'Zen');
+        this.crashPenalty = 3; // points lost per crash
+        this.recoveryTime = 1; // seconds after a crash in which further crashes are forgiven
+        this.recovering = 0;
+        this.crashes = 0;
+    }
+
+    // Clear crashes and recovery
+    reset() {
+        super.reset();
+        this.recovering = 0;
+        this.crashes = 0;
+    }
+
+    // Count down the recovery time
+    update(deltaTime) {
+        this.recovering = Math.max(0, this.recovering - deltaTime);
+    }
+
+    // Take the penalty and fly on; hitting the ground bounces the bird back up
+    handleCollision(game, collision) {
+        if (collision === 'ground' || collision === 'bounds') {
+            game.bird.y = game.height - 50 - game.bird.height / 2 - 1; // 50px for ground
+            game.bird.jump();
+        }
+
+        if (this.recovering > 0) {
+            return false;
+        }
+
+        this.crashes++;
+        this.recovering = this.recoveryTime;
+        game.scoreManager.deductScore(this.crashPenalty);
+        game.applyDifficulty();
+        game.updateTheme();
+        game.renderer.playSound('hit');
+        return false;
+    }
+
+    getHudText() {
+        return this.crashes > 0 ? `Crashes: ${this.crashes}` : null;
+    }
+
+    // Flash the bird while crashes are forgiven
+    getBirdAlpha() {
+        if (this.recovering <= 0) {
+            return 1;
+        }
+        return Math.floor(this.recovering * 10) % 2 === 0 ? 0.3 : 0.8;
+    }
+}
+
+// Modes selectable from the menu, by name
+GameMode.MODES = {
+    endless: EndlessMode,
+    timeAttack: TimeAttackMode,
+    zen: ZenMode
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameMode;
+}
\ No newline at end of file
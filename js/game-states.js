@@ -1,30 +1,119 @@
-// GameStateManager handles different game phases and transitions
+// GameStateManager handles different game phases and transitions.
+// It holds no DOM or canvas code: drawing, overlay screens and sound cues go
+// through the renderer adapter, so the whole simulation also runs headless.
 class GameStateManager {
-    constructor(canvas, bird, pipeManager, scoreManager, inputHandler) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+    constructor(bird, pipeManager, scoreManager, inputHandler, options = {}) {
         this.bird = bird;
         this.pipeManager = pipeManager;
         this.scoreManager = scoreManager;
         this.inputHandler = inputHandler;
 
+        // World size in pixels
+        this.width = options.width ?? 320;
+        this.height = options.height ?? 568;
+
+        // Presentation adapter (see Renderer); the base class does nothing
+        this.renderer = options.renderer;
+        this.renderer.attach(this);
+
+        // Event bus the state changes and run events are published on (see GameStateManager.EVENTS)
+        this.events = options.events ?? new EventBus();
+        this.events.declare(GameStateManager.EVENTS);
+
+        // Log state transitions to the console (bots running many games turn this off)
+        this.logStateChanges = options.logStateChanges ?? true;
+
+        // Seeded randomness shared with the pipe manager
+        this.random = options.random;
+        this.seed = null; // Fixed seed for every run, or null for a fresh seed per run
+        this.challengeSeed = null; // Seed of the challenge being played, if any
+        this.runSeed = null; // Seed the current run was generated from
+
         // Game states
         this.STATES = {
             MENU: 'menu',
             PLAYING: 'playing',
-            GAME_OVER: 'game_over'
+            GAME_OVER: 'game_over',
+            REPLAY: 'replay',
+            TRAINING: 'training',
+            PAUSED: 'paused',
+            RESUMING: 'resuming' // Countdown before a paused run continues
         };
 
         this.currentState = this.STATES.MENU;
 
-        // UI elements
-        this.startScreen = document.getElementById('startScreen');
-        this.gameOverScreen = document.getElementById('gameOverScreen');
-        this.gameOverlay = document.getElementById('gameOverlay');
+        // Run recording and replay playback
+        this.runFrame = 0; // Simulation frames since the run started
+        this.replay = null; // Recording of the current (or last) run
+        this.replayPaused = false;
+        this.replaySpeed = 1;
+        this.replayFinished = false;
+        this.savedPhysicsConfig = null; // Live physics, restored after a replay
+        this.collisionPoint = null;
+        this.pipeHit = null; // Pipe of the pair the bird last hit ('top' or 'bottom')
+        this.crashCause = null; // What ended the run: a collision, or null if it wasn't a crash
+        this.runDistance = 0; // Pixels flown since the run started
+        this.runCoins = 0; // Coins picked up this run
+        this.colliding = false; // Touching something on the last step (collision events fire on first contact)
+        this.newBestThisRun = false; // The run has beaten the best score (newHighScore was published)
+
+        // Extra obstacles flown past during runs, e.g. from plugins (see addObstacle)
+        this.obstacles = [];
+
+        // Autopilot bot; when enabled it also starts and restarts runs by itself (attract mode)
+        this.autopilot = options.autopilot || null;
+        this.autopilotEnabled = false;
+        this.attractDelay = 2; // seconds on the menu / game over screen before the bot plays
+        this.stateTime = 0; // seconds spent in the current state
+
+        // Pause and resume countdown
+        this.resumeCountdownLength = 3; // seconds
+        this.resumeCountdown = 0;
+
+        // Power-ups spawning in pipe gaps and coins between pipes, and their effects (see ItemManager)
+        this.itemManager = options.itemManager ?? new ItemManager();
+
+        // Difficulty curve: pipe settings by score (see DifficultyCurve)
+        this.difficulty = options.difficulty ?? new DifficultyCurve();
+        this.preset = 'normal'; // Difficulty preset (see DifficultyCurve.PRESETS)
+
+        // Sky, ground, pipe colours and particles (see ThemeManager)
+        this.themes = options.themes ?? new ThemeManager();
+
+        // Scenery layers scrolling behind the pipes (see ParallaxBackground)
+        this.parallax = options.parallax ?? new ParallaxBackground(this.width, this.height);
+        this.menuScrollFactor = 0.3; // fraction of the pipe speed the menu scenery drifts at
+
+        // Rules of the run: crashes, scoring, end conditions and HUD (see GameMode)
+        this.mode = GameMode.create('endless');
+
+        // Neuroevolution trainer shown in the training state (see Trainer)
+        this.trainer = options.trainer || null;
+        this.trainingSpeed = 1; // simulation steps per real-time step
+
+        // Badges earned by the player's runs (see AchievementManager); they follow the run events
+        this.achievements = options.achievements || null;
+        if (this.achievements) {
+            this.achievements.listen(this.events);
+        }
+
+        // Coins paid in by the player's runs (see Wallet), spent in the shop on the
+        // cosmetics the bird and pipes wear (see Shop)
+        this.wallet = options.wallet || null;
+        if (this.wallet) {
+            this.wallet.listen(this.events);
+        }
+        this.shop = options.shop || null;
+        this.trail = null; // Trail left behind the bird: { colors, size } (see Shop.CATALOGUE)
+        this.applyCosmetics();
 
         // Animation properties
         this.menuBirdY = 100;
-        this.menuBirdVelocity = 0;
+        this.menuBirdPreviousY = 100;
+        this.menuBirdVelocity = 0; // pixels/second
+        this.menuBirdGravity = 1080; // pixels/second²
+        this.menuBirdBounceVelocity = -300; // pixels/second
+        this.menuPipeSpawnRate = 0.6; // background pipes per second
         this.lastTime = 0;
 
         // Bind input callbacks
@@ -40,15 +129,177 @@ class GameStateManager {
         });
 
         this.inputHandler.on('gameRestart', () => {
-            if (this.currentState === this.STATES.GAME_OVER) {
+            if (this.currentState === this.STATES.PAUSED) {
+                this.recordRun(); // The abandoned run still counts (Zen runs only end this way)
+            }
+            if (this.currentState === this.STATES.GAME_OVER || this.currentState === this.STATES.PAUSED) {
                 this.restartGame();
             }
         });
 
+        this.inputHandler.on('pause', () => {
+            this.togglePause();
+        });
+
+        this.inputHandler.on('resume', () => {
+            this.resumeGame();
+        });
+
+        this.inputHandler.on('quit', () => {
+            if (this.currentState === this.STATES.PAUSED) {
+                this.recordRun();
+                this.setState(this.STATES.MENU);
+            }
+        });
+
+        this.inputHandler.on('submitInitials', (text) => {
+            if (this.currentState === this.STATES.GAME_OVER) {
+                this.scoreManager.setRunInitials(text);
+                this.renderer.hideInitialsPrompt();
+            }
+        });
+
         this.inputHandler.on('jump', () => {
             if (this.currentState === this.STATES.PLAYING) {
-                this.bird.jump();
-                this.playJumpSound();
+                this.flap();
+            }
+        });
+
+        this.inputHandler.on('watchReplay', () => {
+            if (this.currentState === this.STATES.GAME_OVER) {
+                this.startReplay();
+            }
+        });
+
+        this.inputHandler.on('replayToggle', () => {
+            if (this.currentState === this.STATES.REPLAY) {
+                this.toggleReplayPause();
+            }
+        });
+
+        this.inputHandler.on('replaySpeed', (speed) => {
+            if (this.currentState === this.STATES.REPLAY) {
+                this.setReplaySpeed(speed);
+            }
+        });
+
+        this.inputHandler.on('replayExit', () => {
+            if (this.currentState === this.STATES.REPLAY) {
+                this.exitReplay();
+            }
+        });
+
+        this.inputHandler.on('selectPreset', (name) => {
+            if (this.currentState === this.STATES.MENU) {
+                this.setPreset(name);
+            }
+        });
+
+        this.inputHandler.on('selectMode', (name) => {
+            if (this.currentState === this.STATES.MENU) {
+                this.setMode(name);
+            }
+        });
+
+        this.inputHandler.on('selectSkin', (name) => {
+            if (this.currentState === this.STATES.MENU) {
+                this.setSkin(name);
+            }
+        });
+
+        this.inputHandler.on('selectTheme', (name) => {
+            if (this.currentState === this.STATES.MENU) {
+                this.setTheme(name);
+            }
+        });
+
+        this.inputHandler.on('themeRotation', (points) => {
+            if (this.currentState === this.STATES.MENU) {
+                this.setThemeRotation(points);
+            }
+        });
+
+        this.inputHandler.on('openSettings', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showSettingsScreen();
+            }
+        });
+
+        this.inputHandler.on('closeSettings', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStartScreen();
+            }
+        });
+
+        this.inputHandler.on('openLeaderboard', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showLeaderboardScreen(this.getRecordLabel(), this.scoreManager.getLeaderboard());
+            }
+        });
+
+        this.inputHandler.on('closeLeaderboard', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStartScreen();
+            }
+        });
+
+        this.inputHandler.on('openStats', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStatsScreen(this.getRecordLabel(), this.scoreManager.getStats().history);
+            }
+        });
+
+        this.inputHandler.on('closeStats', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStartScreen();
+            }
+        });
+
+        this.inputHandler.on('openAchievements', () => {
+            if (this.currentState === this.STATES.MENU && this.achievements) {
+                this.renderer.showAchievementsScreen(this.achievements.getAll());
+            }
+        });
+
+        this.inputHandler.on('closeAchievements', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStartScreen();
+            }
+        });
+
+        this.inputHandler.on('openShop', () => {
+            if (this.currentState === this.STATES.MENU && this.shop) {
+                this.renderer.showShopScreen(this.shop.getItems(), this.wallet.getBalance());
+            }
+        });
+
+        this.inputHandler.on('shopSelect', (id) => {
+            if (this.currentState === this.STATES.MENU && this.shop) {
+                this.selectShopItem(id);
+            }
+        });
+
+        this.inputHandler.on('closeShop', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.renderer.showStartScreen();
+            }
+        });
+
+        this.inputHandler.on('startTraining', () => {
+            if (this.currentState === this.STATES.MENU) {
+                this.startTraining();
+            }
+        });
+
+        this.inputHandler.on('trainingSpeed', (speed) => {
+            if (this.currentState === this.STATES.TRAINING) {
+                this.setTrainingSpeed(speed);
+            }
+        });
+
+        this.inputHandler.on('trainingExit', () => {
+            if (this.currentState === this.STATES.TRAINING) {
+                this.setState(this.STATES.MENU);
             }
         });
     }
@@ -57,6 +308,22 @@ class GameStateManager {
     setState(newState) {
         const previousState = this.currentState;
         this.currentState = newState;
+        this.stateTime = 0;
+
+        // Leaving a replay puts the live physics back
+        if (previousState === this.STATES.REPLAY && newState !== this.STATES.REPLAY) {
+            this.leaveReplayState();
+        }
+
+        // The pause button is only there while a run is in progress
+        if (previousState === this.STATES.PLAYING && newState !== this.STATES.PLAYING) {
+            this.renderer.hidePauseButton();
+        }
+
+        // Leaving training hides its controls (the trainer keeps its progress)
+        if (previousState === this.STATES.TRAINING && newState !== this.STATES.TRAINING) {
+            this.renderer.hideTrainingControls();
+        }
 
         // Handle state transitions
         switch (newState) {
@@ -64,20 +331,41 @@ class GameStateManager {
                 this.enterMenuState();
                 break;
             case this.STATES.PLAYING:
-                this.enterPlayingState();
+                this.enterPlayingState(previousState);
                 break;
             case this.STATES.GAME_OVER:
-                this.enterGameOverState();
+                this.enterGameOverState(previousState);
                 break;
+            case this.STATES.REPLAY:
+                this.enterReplayState();
+                break;
+            case this.STATES.TRAINING:
+                this.enterTrainingState();
+                break;
+            case this.STATES.PAUSED:
+                this.enterPausedState();
+                break;
+            case this.STATES.RESUMING:
+                this.enterResumingState();
+                break;
+        }
+
+        if (this.logStateChanges) {
+            console.log(`State changed: ${previousState} -> ${newState}`);
         }
 
-        console.log(`State changed: ${previousState} -> ${newState}`);
+        this.events.emit('stateChange', { from: previousState, to: newState });
     }
 
     // Enter menu state
     enterMenuState() {
-        // Show start screen
-        this.showStartScreen();
+        // Show start screen, with the coins to spend
+        this.renderer.showStartScreen();
+        if (this.wallet) {
+            this.renderer.updateCoins(this.wallet.getBalance());
+        }
+        this.renderer.playSound('swoosh');
+        this.renderer.playMusic('menu');
 
         // Reset game objects
         this.resetGameObjects();
@@ -87,43 +375,140 @@ class GameStateManager {
 
         // Reset menu bird animation
         this.menuBirdY = 100;
+        this.menuBirdPreviousY = 100;
         this.menuBirdVelocity = 0;
     }
 
+    // Make the bird flap, recording the jump for the replay
+    flap() {
+        this.replay.recordJump(this.runFrame);
+        this.bird.jump();
+        this.renderer.playSound('jump');
+        this.events.emit('flap', { frame: this.runFrame, time: this.runFrame * this.replay.timeStep });
+    }
+
     // Enter playing state
-    enterPlayingState() {
+    enterPlayingState(previousState) {
         // Hide all overlay screens
-        this.hideOverlay();
+        this.renderer.hideOverlay();
+        this.renderer.showPauseButton();
+
+        // Back from a pause: the run carries on where it stopped
+        if (previousState === this.STATES.RESUMING) {
+            this.renderer.resumeMusic();
+            return;
+        }
 
         // Show score display
         this.scoreManager.showScoreDisplay();
+        this.renderer.playSound('swoosh');
+        this.renderer.playMusic('game');
 
         // Reset score
         this.scoreManager.resetScore();
 
+        // Seed the pipe sequence for this run
+        this.seedRun();
+
+        // Start recording the run
+        this.runFrame = 0;
+        this.replay = new Replay({
+            seed: this.runSeed,
+            mode: this.mode.name,
+            config: this.getPhysicsConfig(),
+            obstacles: this.getObstacleNames()
+        });
+
+        // Bot runs never count towards records
+        this.scoreManager.setPersistent(!this.autopilotEnabled);
+        if (this.autopilot) {
+            this.autopilot.reset();
+        }
+
         // Increment games played counter
-        this.scoreManager.incrementGamesPlayed();
+        if (!this.autopilotEnabled) {
+            this.scoreManager.incrementGamesPlayed();
+        }
+        this.events.emit('runStart', {
+            mode: this.mode.name,
+            preset: this.preset,
+            seed: this.runSeed,
+            bot: this.autopilotEnabled,
+            gamesPlayed: this.scoreManager.getTotalGamesPlayed()
+        });
     }
 
     // Enter game over state
-    enterGameOverState() {
-        // Show game over screen
-        this.showGameOverScreen();
+    enterGameOverState(previousState) {
+        // Show game over screen, titled by how the mode ended the run
+        this.renderer.showGameOverScreen(this.mode.getResultTitle());
+        this.renderer.stopMusic();
+
+        // Coming back from watching a replay (played out to the end, see skipReplay):
+        // the run was already mourned and recorded
+        if (previousState === this.STATES.REPLAY) {
+            this.renderer.updateFinalScores(this.scoreManager.getCurrentScore(), this.scoreManager.getHighScore());
+            return;
+        }
+
+        // Put the run on the leaderboard (and its coins in the wallet), then show the final scores
+        const rank = this.recordRun();
+        this.renderer.updateFinalScores(this.scoreManager.getCurrentScore(), this.scoreManager.getHighScore());
+        if (this.wallet) {
+            this.renderer.updateCoins(this.wallet.getBalance(), this.autopilotEnabled ? 0 : this.runCoins);
+        }
+
+        // Play hit sound (runs can also end without a crash, e.g. when time is up)
+        if (this.mode.crashed) {
+            this.renderer.playSound('hit');
+        }
+
+        // Made the leaderboard: celebrate the rank and ask for initials
+        if (rank !== null) {
+            this.renderer.celebrateLeaderboardRank(rank, this.scoreManager.getInitials());
+        }
+    }
+
+    // Add the run that just ended to the history and the leaderboard; returns its rank or null
+    recordRun() {
+        if (!this.replay) {
+            return null;
+        }
 
-        // Update final score displays
-        this.updateFinalScores();
+        const cause = this.getRunEnding();
+        const duration = Math.round(this.runFrame * this.replay.timeStep * 10) / 10;
+        const rank = this.scoreManager.recordRun({
+            mode: this.mode.name,
+            preset: this.preset,
+            seed: this.runSeed,
+            duration,
+            jumps: this.replay.jumps.length,
+            distance: Math.round(this.runDistance),
+            cause
+        });
+        this.events.emit('runEnd', { score: this.scoreManager.getCurrentScore(), cause, duration, rank, coins: this.runCoins });
+        return rank;
+    }
 
-        // Play hit sound
-        this.playHitSound();
+    // Publish an event of the run being played; replays publish none, their run already did
+    publishRunEvent(event, payload) {
+        if (this.currentState !== this.STATES.REPLAY) {
+            this.events.emit(event, payload);
+        }
+    }
 
-        // Check for new high score
-        if (this.scoreManager.isNewHighScore()) {
-            this.celebrateNewHighScore();
+    // How the run ended: what the bird crashed into, 'timeUp', or 'quit' (see RunHistory.CAUSES)
+    getRunEnding() {
+        if (this.crashCause) {
+            return this.crashCause;
         }
+        return this.mode.isFinished() ? 'timeUp' : 'quit';
     }
 
-    // Update current game state
+    // Advance the current game state by one fixed step (deltaTime in seconds)
     update(deltaTime) {
+        this.stateTime += deltaTime;
+
         switch (this.currentState) {
             case this.STATES.MENU:
                 this.updateMenuState(deltaTime);
@@ -134,294 +519,726 @@ class GameStateManager {
             case this.STATES.GAME_OVER:
                 this.updateGameOverState(deltaTime);
                 break;
+            case this.STATES.REPLAY:
+                this.updateReplayState();
+                break;
+            case this.STATES.TRAINING:
+                this.trainer.step(deltaTime);
+                break;
+            case this.STATES.RESUMING:
+                this.updateResumingState(deltaTime);
+                break;
         }
+
+        // Scroll the scenery with the world
+        this.parallax.update(deltaTime, this.getScrollSpeed());
+
+        this.events.emit('frame', { state: this.currentState, deltaTime });
+    }
+
+    // How fast the scenery scrolls in pixels/second: with the pipes during a run,
+    // gently on the menu, and not at all once the bird has crashed or the run is paused
+    getScrollSpeed() {
+        switch (this.currentState) {
+            case this.STATES.MENU:
+                return this.pipeManager.getSpeed() * this.menuScrollFactor;
+            case this.STATES.PLAYING:
+                return this.pipeManager.getSpeed();
+            case this.STATES.REPLAY:
+                return this.replayFinished ? 0 : this.pipeManager.getSpeed();
+            case this.STATES.TRAINING:
+                return this.trainer.pipeManager.getSpeed();
+            default:
+                return 0;
+        }
+    }
+
+    // How fast simulation time runs relative to real time (0 while a replay is paused)
+    getTimeScale() {
+        if (this.currentState === this.STATES.REPLAY && !this.replayFinished) {
+            return this.replayPaused ? 0 : this.replaySpeed;
+        }
+        if (this.currentState === this.STATES.TRAINING) {
+            return this.trainingSpeed;
+        }
+        return 1;
     }
 
     // Update menu state
     updateMenuState(deltaTime) {
         // Animate menu bird
-        this.menuBirdVelocity += 0.3; // Gravity
-        this.menuBirdY += this.menuBirdVelocity;
+        this.menuBirdPreviousY = this.menuBirdY;
+        this.menuBirdVelocity += this.menuBirdGravity * deltaTime;
+        this.menuBirdY += this.menuBirdVelocity * deltaTime;
 
         // Bounce bird
         if (this.menuBirdY > 150) {
             this.menuBirdY = 150;
-            this.menuBirdVelocity = -5;
+            this.menuBirdVelocity = this.menuBirdBounceVelocity;
         }
 
         // Animate pipes in background
-        if (Math.random() < 0.01) {
+        if (this.random.next() < this.menuPipeSpawnRate * deltaTime) {
             this.pipeManager.generatePipe();
         }
-        this.pipeManager.update();
+        this.pipeManager.update(deltaTime);
+
+        // Attract mode: the bot starts a demo run by itself
+        if (this.autopilotEnabled && this.stateTime >= this.attractDelay) {
+            this.startGame();
+        }
     }
 
     // Update playing state
     updatePlayingState(deltaTime) {
+        // The recording replays at the step size it was played at
+        if (this.runFrame === 0) {
+            this.replay.timeStep = deltaTime;
+        }
+
+        // Let the bot play; its flaps are recorded like any other
+        if (this.autopilotEnabled && this.autopilot.update(deltaTime, this.bird, this.pipeManager)) {
+            this.flap();
+        }
+
+        const ended = this.stepRun(deltaTime);
+        this.runFrame++;
+
+        if (ended) {
+            this.replay.finish(this.runFrame, this.scoreManager.getCurrentScore());
+            this.setState(this.STATES.GAME_OVER);
+        }
+    }
+
+    // Advance bird, pipes and scoring by one frame; returns true when the run ends
+    stepRun(deltaTime) {
         // Update bird
-        this.bird.update();
+        this.bird.update(deltaTime);
 
-        // Update pipes
-        this.pipeManager.update();
+        // Update pipes (the bird's distance is how far they scroll)
+        this.pipeManager.update(deltaTime);
+        this.runDistance += this.pipeManager.getSpeed() * deltaTime;
+
+        // Update extra obstacles
+        for (const obstacle of this.obstacles) {
+            obstacle.update(deltaTime, this);
+        }
+
+        // Update power-ups and coins: pick up the ones the bird flies into
+        for (const type of this.itemManager.update(deltaTime, this.bird, this.pipeManager)) {
+            const value = this.itemManager.types[type].value;
+            if (value) {
+                this.runCoins += value;
+                this.renderer.playSound('coin');
+                this.publishRunEvent('coinCollected', { value, total: this.runCoins });
+            } else {
+                this.renderer.playSound('swoosh');
+                this.publishRunEvent('powerUp', { type });
+            }
+        }
+
+        // Update mode timers
+        this.mode.update(deltaTime);
 
         // Check for scoring
         if (this.pipeManager.checkScore(this.bird)) {
-            this.scoreManager.incrementScore();
+            const best = this.scoreManager.getHighScore();
+            const points = this.mode.getPipePoints();
+            this.scoreManager.incrementScore(points);
+            this.applyDifficulty();
+            this.updateTheme();
+            this.renderer.playSound('score');
+
+            const score = this.scoreManager.getCurrentScore();
+            this.publishRunEvent('pipePassed', { score, points });
+            if (!this.newBestThisRun && this.scoreManager.getHighScore() > best) {
+                this.newBestThisRun = true;
+                this.publishRunEvent('newHighScore', { score, previous: best });
+            }
         }
 
-        // Check for collisions
-        if (this.checkCollisions()) {
-            this.setState(this.STATES.GAME_OVER);
+        // Check for collisions; the mode decides whether a crash ends the run
+        const collision = this.checkCollisions();
+        if (!collision) {
+            this.colliding = false;
+        } else {
+            const cause = collision === 'pipe' ? `${this.pipeHit}Pipe` : collision;
+            const ended = this.mode.handleCollision(this, collision);
+            if (!this.colliding) {
+                this.publishRunEvent('collision', { cause, ended });
+            }
+            this.colliding = true;
+
+            if (ended) {
+                this.crashCause = cause;
+                return true;
+            }
+        }
+
+        return this.mode.isFinished();
+    }
+
+    // Update replay state: feed recorded jumps back in on the frames they happened
+    updateReplayState() {
+        const deltaTime = this.replay.timeStep;
+
+        // After the crash, let the bird fall like on the game over screen
+        if (this.replayFinished) {
+            this.updateGameOverState(deltaTime);
+            return;
+        }
+
+        for (let jumps = this.replay.takeJumps(this.runFrame); jumps > 0; jumps--) {
+            this.bird.jump();
+            this.renderer.playSound('jump');
+        }
+
+        const ended = this.stepRun(deltaTime);
+        this.runFrame++;
+
+        if (ended) {
+            this.replayFinished = true;
+            this.renderer.stopMusic();
+            if (this.mode.crashed) {
+                this.renderer.playSound('hit');
+            }
+            this.updateReplayControls();
+        }
+    }
+
+    // Count down, then hand control back to the player
+    updateResumingState(deltaTime) {
+        this.resumeCountdown -= deltaTime;
+        if (this.resumeCountdown <= 0) {
+            this.resumeCountdown = 0;
+            this.setState(this.STATES.PLAYING);
         }
     }
 
     // Update game over state
     updateGameOverState(deltaTime) {
-        // Update score animations
-        this.scoreManager.updateAnimations(this.ctx);
-
         // Bird falls to ground (if not already there)
-        if (!this.bird.isGrounded(this.canvas.height)) {
-            this.bird.update();
+        if (!this.bird.isGrounded(this.height)) {
+            this.bird.update(deltaTime);
         } else {
             this.bird.bounce();
         }
+
+        // Attract mode: the bot goes again by itself
+        if (this.autopilotEnabled && this.stateTime >= this.attractDelay) {
+            this.restartGame();
+        }
     }
 
-    // Render current game state
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    // Render current game state; alpha is how far we are between the last two steps
+    render(alpha = 1) {
+        this.renderer.render(alpha);
+    }
 
-        // Draw background elements
-        this.renderBackground();
+    // Check for collisions; returns what was hit ('pipe', 'obstacle', 'ground' or 'bounds'), or null
+    checkCollisions() {
+        // Check pipe collisions
+        const pipeHit = this.pipeManager.checkCollision(this.bird);
+        if (pipeHit && !this.absorbHit()) {
+            this.collisionPoint = { x: this.bird.x, y: this.bird.y };
+            this.pipeHit = pipeHit;
+            return 'pipe';
+        }
 
-        switch (this.currentState) {
-            case this.STATES.MENU:
-                this.renderMenuState();
-                break;
-            case this.STATES.PLAYING:
-                this.renderPlayingState();
-                break;
-            case this.STATES.GAME_OVER:
-                this.renderGameOverState();
-                break;
+        // Check extra obstacles
+        const shape = this.bird.getCollisionShape();
+        if (this.obstacles.some(obstacle => obstacle.checkCollision(shape)) && !this.absorbHit()) {
+            this.collisionPoint = { x: this.bird.x, y: this.bird.y };
+            return 'obstacle';
+        }
+
+        // Check ground collision
+        if (this.bird.isGrounded(this.height)) {
+            this.collisionPoint = { x: this.bird.x, y: this.bird.y };
+            return 'ground';
+        }
+
+        // Check if bird went out of bounds
+        if (this.bird.isOutOfBounds(this.height)) {
+            return 'bounds';
+        }
+
+        return null;
+    }
+
+    // Let a shield power-up take a pipe or obstacle hit; true if the bird flies on
+    absorbHit() {
+        const shielded = this.itemManager.isActive('shield');
+        if (!this.itemManager.absorbHit()) {
+            return false;
         }
+
+        // The shield breaks on the first hit (the bird passes through for a moment after)
+        if (shielded) {
+            this.renderer.playSound('hit');
+            this.publishRunEvent('shieldBroken', {});
+        }
+        return true;
     }
 
-    // Render background
-    renderBackground() {
-        // Sky gradient is handled by CSS
-        // Draw ground
-        const groundHeight = 50;
-        const gradient = this.ctx.createLinearGradient(0, this.canvas.height - groundHeight, 0, this.canvas.height);
-        gradient.addColorStop(0, '#8B7355');
-        gradient.addColorStop(1, '#654321');
+    // Start new game
+    startGame() {
+        this.challengeSeed = null;
+        this.resetGameObjects();
+        this.setState(this.STATES.PLAYING);
+    }
 
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, this.canvas.height - groundHeight, this.canvas.width, groundHeight);
+    // Start a game on a fixed course (e.g. the daily challenge); restarts keep the same course
+    startChallenge(seed) {
+        if (this.currentState !== this.STATES.MENU) {
+            return;
+        }
 
-        // Draw ground line
-        this.ctx.strokeStyle = '#4A4A4A';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, this.canvas.height - groundHeight);
-        this.ctx.lineTo(this.canvas.width, this.canvas.height - groundHeight);
-        this.ctx.stroke();
+        this.challengeSeed = seed;
+        this.resetGameObjects();
+        this.setState(this.STATES.PLAYING);
     }
 
-    // Render menu state
-    renderMenuState() {
-        // Render background pipes
-        this.pipeManager.render(this.ctx);
+    // Seed the random source for a new run and clear any leftover pipes
+    seedRun() {
+        let seed = this.challengeSeed !== null ? this.challengeSeed : this.seed;
+        if (seed === null) {
+            seed = Math.floor(Math.random() * 4294967296);
+        }
 
-        // Render animated menu bird
-        this.ctx.save();
-        this.ctx.translate(160, this.menuBirdY);
-        this.ctx.rotate(Math.sin(Date.now() * 0.002) * 0.1);
-        this.bird.render(this.ctx);
-        this.ctx.restore();
+        this.random.setSeed(seed);
+        this.runSeed = this.random.getSeed();
+        this.itemManager.setSeed(this.runSeed);
+        this.pipeManager.reset();
+    }
 
-        // Add floating particles effect
-        this.renderParticles();
+    // Use a fixed seed for every following run (null restores a fresh seed per run)
+    setSeed(seed) {
+        this.seed = seed;
     }
 
-    // Render playing state
-    renderPlayingState() {
-        // Render pipes
-        this.pipeManager.render(this.ctx);
+    // Get the seed of the current run
+    getRunSeed() {
+        return this.runSeed;
+    }
 
-        // Render bird
-        this.bird.render(this.ctx);
+    // Check if the current run is a challenge course
+    isChallenge() {
+        return this.challengeSeed !== null;
+    }
 
-        // Render score
-        this.scoreManager.renderScore(this.ctx);
+    // Restart game
+    restartGame() {
+        this.resetGameObjects();
+        this.setState(this.STATES.PLAYING);
+    }
 
-        // Render score animations
-        this.scoreManager.updateAnimations(this.ctx);
+    // Freeze the current run and show the pause screen (also cancels a resume countdown)
+    pauseGame() {
+        if (this.currentState === this.STATES.PLAYING || this.currentState === this.STATES.RESUMING) {
+            this.setState(this.STATES.PAUSED);
+        }
     }
 
-    // Render game over state
-    renderGameOverState() {
-        // Render pipes
-        this.pipeManager.render(this.ctx);
+    // Continue a paused run after the countdown
+    resumeGame() {
+        if (this.currentState === this.STATES.PAUSED) {
+            this.setState(this.STATES.RESUMING);
+        }
+    }
 
-        // Render bird
-        this.bird.render(this.ctx);
+    // Pause or resume (P, Escape and the pause button)
+    togglePause() {
+        if (this.currentState === this.STATES.PAUSED) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    // Enter paused state
+    enterPausedState() {
+        this.resumeCountdown = 0;
+        this.renderer.showPauseScreen();
+        this.renderer.pauseMusic();
+    }
+
+    // Enter resuming state
+    enterResumingState() {
+        this.renderer.hideOverlay();
+        this.resumeCountdown = this.resumeCountdownLength;
+    }
+
+    // Check if a run is paused (or counting down to resume)
+    isPaused() {
+        return this.currentState === this.STATES.PAUSED || this.currentState === this.STATES.RESUMING;
+    }
+
+    // Watch the last run again
+    startReplay() {
+        if (!this.replay) {
+            return;
+        }
 
-        // Render score
-        this.scoreManager.renderScore(this.ctx);
+        this.savedPhysicsConfig = this.getPhysicsConfig();
+        this.replaySpeed = 1;
+        this.rewindReplay();
+        this.setState(this.STATES.REPLAY);
+    }
+
+    // Put the world back to the first frame of the replay
+    rewindReplay() {
+        this.applyPhysicsConfig(this.replay.config);
+        this.resetGameObjects();
+        this.random.setSeed(this.replay.seed);
+        this.itemManager.setSeed(this.replay.seed);
+        this.replay.rewind();
+        this.runFrame = 0;
+        this.replayPaused = false;
+        this.replayFinished = false;
+        this.updateReplayControls();
+        this.renderer.playMusic('game');
+    }
 
-        // Render score animations
-        this.scoreManager.updateAnimations(this.ctx);
+    // Enter replay state
+    enterReplayState() {
+        this.renderer.hideOverlay();
+        this.scoreManager.showScoreDisplay();
+        this.renderer.showReplayControls();
+    }
 
-        // Add explosion effect at collision point
-        if (this.collisionPoint) {
-            this.renderExplosion(this.collisionPoint.x, this.collisionPoint.y);
+    // Clean up when a replay ends
+    leaveReplayState() {
+        this.renderer.hideReplayControls();
+        if (this.savedPhysicsConfig) {
+            this.applyPhysicsConfig(this.savedPhysicsConfig);
+            this.savedPhysicsConfig = null;
         }
     }
 
-    // Render particle effects
-    renderParticles() {
-        const time = Date.now() * 0.001;
-        for (let i = 0; i < 5; i++) {
-            const x = (Math.sin(time + i) + 1) * this.canvas.width / 2;
-            const y = (Math.cos(time * 0.7 + i) + 1) * 100 + 50;
-            const opacity = (Math.sin(time * 2 + i) + 1) * 0.3;
+    // Pause or resume playback (starts over once the replay has finished)
+    toggleReplayPause() {
+        if (this.replayFinished) {
+            this.rewindReplay();
+            return;
+        }
 
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 2, 0, Math.PI * 2);
-            this.ctx.fill();
+        this.replayPaused = !this.replayPaused;
+        this.updateReplayControls();
+        if (this.replayPaused) {
+            this.renderer.pauseMusic();
+        } else {
+            this.renderer.resumeMusic();
         }
     }
 
-    // Render explosion effect
-    renderExplosion(x, y) {
-        const time = Date.now() * 0.01;
-        const maxRadius = 30;
+    // Set playback speed (1x, 2x, 4x)
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        this.replayPaused = false;
+        this.updateReplayControls();
+        this.renderer.resumeMusic();
+    }
 
-        for (let i = 0; i < 8; i++) {
-            const angle = (Math.PI * 2 / 8) * i;
-            const radius = (Math.sin(time) + 1) * maxRadius / 2;
-            const particleX = x + Math.cos(angle) * radius;
-            const particleY = y + Math.sin(angle) * radius;
+    // Stop watching and go back to the game over screen
+    exitReplay() {
+        this.skipReplay();
+        this.setState(this.STATES.GAME_OVER);
+    }
 
-            this.ctx.fillStyle = `rgba(255, 100, 100, ${1 - radius / maxRadius})`;
-            this.ctx.beginPath();
-            this.ctx.arc(particleX, particleY, 3, 0, Math.PI * 2);
-            this.ctx.fill();
+    // Play the rest of the replay out at once, so the world and score are left as the
+    // run ended. Nothing is presented on the way (no sound cues for the skipped frames)
+    skipReplay() {
+        const renderer = this.renderer;
+        this.renderer = new Renderer();
+        try {
+            while (!this.replayFinished && this.runFrame <= this.replay.frames) {
+                this.updateReplayState();
+            }
+        } finally {
+            this.renderer = renderer;
         }
     }
 
-    // Check for collisions
-    checkCollisions() {
-        // Check pipe collisions
-        if (this.pipeManager.checkCollision(this.bird)) {
-            this.collisionPoint = { x: this.bird.x, y: this.bird.y };
-            return true;
+    // Tell the renderer how playback stands
+    updateReplayControls() {
+        this.renderer.updateReplayControls({
+            paused: this.replayPaused,
+            speed: this.replaySpeed,
+            finished: this.replayFinished
+        });
+    }
+
+    // Watch the trainer evolve bots (picks up where the last session stopped)
+    startTraining() {
+        if (!this.trainer) {
+            console.warn('No trainer available');
+            return;
         }
 
-        // Check ground collision
-        if (this.bird.isGrounded(this.canvas.height)) {
-            this.collisionPoint = { x: this.bird.x, y: this.bird.y };
-            return true;
+        this.setState(this.STATES.TRAINING);
+    }
+
+    // Enter training state
+    enterTrainingState() {
+        this.renderer.hideOverlay();
+        this.scoreManager.hideScoreDisplay();
+        this.renderer.showTrainingControls();
+        this.updateTrainingControls();
+    }
+
+    // Set how many simulation steps run per real-time step (1x, 10x, 100x)
+    setTrainingSpeed(speed) {
+        this.trainingSpeed = speed;
+        this.updateTrainingControls();
+    }
+
+    // Tell the renderer how training runs
+    updateTrainingControls() {
+        this.renderer.updateTrainingControls({ speed: this.trainingSpeed });
+    }
+
+    // Turn the autopilot on or off
+    setAutopilot(enabled) {
+        if (!this.autopilot) {
+            console.warn('No autopilot available');
+            return;
         }
 
-        // Check if bird went out of bounds
-        if (this.bird.isOutOfBounds(this.canvas.height)) {
-            return true;
+        this.autopilotEnabled = enabled;
+        this.stateTime = 0;
+
+        if (enabled) {
+            this.autopilot.reset();
+            // A run the bot helped with does not count towards records
+            if (this.currentState === this.STATES.PLAYING) {
+                this.scoreManager.setPersistent(false);
+            }
         }
+    }
 
-        return false;
+    // Check if the autopilot is playing
+    isAutopilotEnabled() {
+        return this.autopilotEnabled;
     }
 
-    // Start new game
-    startGame() {
-        this.setState(this.STATES.PLAYING);
+    // Get the recording of the current (or last) run
+    getReplay() {
+        return this.replay;
     }
 
-    // Restart game
-    restartGame() {
-        this.resetGameObjects();
-        this.setState(this.STATES.PLAYING);
+    // Physics settings a replay needs to reproduce a run
+    getPhysicsConfig() {
+        return {
+            bird: {
+                gravity: this.bird.gravity,
+                jumpVelocity: this.bird.jumpVelocity,
+                maxFallVelocity: this.bird.maxFallVelocity
+            },
+            pipes: {
+                pipeWidth: this.pipeManager.pipeWidth,
+                gapSize: this.pipeManager.gapSize,
+                pipeSpeed: this.pipeManager.pipeSpeed,
+                pipeSpacing: this.pipeManager.pipeSpacing,
+                minGapHeight: this.pipeManager.minGapHeight,
+                collisionTolerance: this.pipeManager.collisionTolerance
+            },
+            difficulty: this.difficulty.getKeyframes(),
+            powerUps: this.itemManager.getRates()
+        };
     }
 
-    // Reset game objects to initial state
-    resetGameObjects() {
-        // Reset bird
-        this.bird.reset(80, 200);
+    // Apply physics settings captured by getPhysicsConfig
+    applyPhysicsConfig(config) {
+        Object.assign(this.bird, config.bird);
+        Object.assign(this.pipeManager, config.pipes);
+        if (config.difficulty) {
+            this.difficulty.setKeyframes(config.difficulty);
+        }
+        // Replays from before power-ups have none
+        this.itemManager.setRates(config.powerUps ?? {});
+    }
 
-        // Reset pipes
-        this.pipeManager.reset();
+    // Switch difficulty preset: bird physics, pipe settings and the high score table
+    setPreset(name) {
+        const preset = DifficultyCurve.PRESETS[name];
+        if (!preset) {
+            console.warn(`Unknown difficulty preset "${name}"`);
+            return;
+        }
 
-        // Reset score
-        this.scoreManager.resetScore();
+        this.preset = name;
+        this.applyPhysicsConfig(preset);
+        this.scoreManager.setCategory(this.getRecordCategory());
+        this.renderer.updatePresetPicker(name);
+    }
 
-        // Clear collision point
-        this.collisionPoint = null;
+    // Get the current difficulty preset name
+    getPreset() {
+        return this.preset;
     }
 
-    // UI Helper methods
-    showStartScreen() {
-        this.gameOverlay.classList.remove('hidden');
-        this.startScreen.classList.remove('hidden');
-        this.gameOverScreen.classList.add('hidden');
+    // Switch game mode (see GameMode.MODES) and its high score table
+    setMode(name) {
+        if (!GameMode.MODES[name]) {
+            console.warn(`Unknown game mode "${name}"`);
+            return;
+        }
+
+        this.mode = GameMode.create(name);
+        this.mode.reset();
+        this.scoreManager.setCategory(this.getRecordCategory());
+        this.renderer.updateModePicker(name);
     }
 
-    showGameOverScreen() {
-        this.gameOverlay.classList.remove('hidden');
-        this.startScreen.classList.add('hidden');
-        this.gameOverScreen.classList.remove('hidden');
+    // Get the current game mode
+    getMode() {
+        return this.mode;
     }
 
-    hideOverlay() {
-        this.gameOverlay.classList.add('hidden');
+    // Dress the bird in a skin (see BirdSkin.SKINS)
+    setSkin(name) {
+        if (!BirdSkin.SKINS[name]) {
+            console.warn(`Unknown skin "${name}"`);
+            return;
+        }
+
+        this.bird.skin = BirdSkin.create(name);
+        this.renderer.updateSkinPicker(name);
     }
 
-    updateFinalScores() {
-        if (this.finalScore) {
-            this.finalScore.textContent = this.scoreManager.getCurrentScore();
+    // Pick a visual theme (see ThemeManager.THEMES)
+    setTheme(name) {
+        if (this.themes.select(name)) {
+            this.applyTheme();
         }
-        if (this.finalHighScore) {
-            this.finalHighScore.textContent = this.scoreManager.getHighScore();
+    }
+
+    // Rotate the theme every so many points (0 keeps the selected one)
+    setThemeRotation(points) {
+        this.themes.setRotation(points);
+        this.updateTheme();
+        this.applyTheme();
+    }
+
+    // Follow the score with the theme, when rotation is on
+    updateTheme() {
+        if (this.themes.update(this.scoreManager.getCurrentScore())) {
+            this.applyTheme();
         }
     }
 
-    // Sound effect methods
-    playJumpSound() {
-        try {
-            const jumpSound = document.getElementById('jumpSound');
-            if (jumpSound) {
-                jumpSound.currentTime = 0;
-                jumpSound.play().catch(() => {});
-            }
-        } catch (error) {
-            // Ignore audio errors
+    // Paint the pipes in the current theme's colours (or the pipe style bought in the
+    // shop, over the theme's) and update the picker
+    applyTheme() {
+        const theme = this.themes.getTheme();
+        Object.assign(this.pipeManager, theme.pipes);
+        if (this.trainer) {
+            Object.assign(this.trainer.pipeManager, theme.pipes);
         }
+
+        const pipeStyle = this.shop && this.shop.getEquipped('pipes');
+        if (pipeStyle) {
+            Object.assign(this.pipeManager, pipeStyle.pipes);
+        }
+        this.renderer.updateThemePicker(this.themes.getSelectedName(), this.themes.rotateEvery);
     }
 
-    playHitSound() {
-        try {
-            const hitSound = document.getElementById('hitSound');
-            if (hitSound) {
-                hitSound.currentTime = 0;
-                hitSound.play().catch(() => {});
-            }
-        } catch (error) {
-            // Ignore audio errors
+    // Buy, put on or take off a shop item, then show the shop as it now stands
+    selectShopItem(id) {
+        const result = this.shop.select(id);
+        if (!result) {
+            return;
+        }
+
+        if (result === 'tooExpensive') {
+            this.renderer.playSound('hit');
+        } else {
+            this.renderer.playSound(result === 'bought' ? 'coin' : 'swoosh');
+            this.applyCosmetics();
         }
+        this.renderer.showShopScreen(this.shop.getItems(), this.wallet.getBalance());
+        this.renderer.updateCoins(this.wallet.getBalance());
+    }
+
+    // Dress the bird and pipes in the cosmetics equipped in the shop
+    applyCosmetics() {
+        const color = this.shop && this.shop.getEquipped('color');
+        const trail = this.shop && this.shop.getEquipped('trail');
+        this.bird.palette = color ? color.colors : null;
+        this.trail = trail ? trail.trail : null;
+        this.applyTheme();
+    }
+
+    // Records are kept per mode and preset; Endless uses the preset alone,
+    // so high scores from before modes existed stay where they were
+    getRecordCategory() {
+        if (this.mode.name === 'endless') {
+            return this.preset;
+        }
+        return `${this.mode.name}.${this.preset}`;
+    }
+
+    // Name of the record category for display, e.g. 'Time Attack · Hard'
+    getRecordLabel() {
+        return `${this.mode.label} · ${DifficultyCurve.PRESETS[this.preset].label}`;
     }
 
-    // Celebrate new high score
-    celebrateNewHighScore() {
-        // Add celebration animation or effect
-        const highScoreElement = document.getElementById('finalHighScore');
-        if (highScoreElement) {
-            highScoreElement.style.color = '#FFD700';
-            highScoreElement.style.fontWeight = 'bold';
-            highScoreElement.textContent = `NEW HIGH SCORE: ${this.scoreManager.getHighScore()}`;
+    // Set the pipes up for the current score on the difficulty curve
+    applyDifficulty() {
+        const score = this.scoreManager.getCurrentScore();
+        this.pipeManager.setDifficulty(this.difficulty.getSettings(score));
+        this.renderer.setMusicIntensity(this.difficulty.getProgress(score));
+    }
+
+    // Current difficulty level (1 at the start, one more per keyframe reached)
+    getDifficultyLevel() {
+        return this.difficulty.getLevel(this.scoreManager.getCurrentScore());
+    }
+
+    // Add an obstacle to every run: { name, reset(), update(deltaTime, stateManager),
+    // render(ctx, alpha), checkCollision(shape) } (see PluginManager.registerObstacle);
+    // the name is recorded with replays, which only play back with the same obstacles
+    addObstacle(obstacle) {
+        this.obstacles.push(obstacle);
+    }
+
+    // Names of the extra obstacles in every run
+    getObstacleNames() {
+        return this.obstacles.map(obstacle => obstacle.name);
+    }
+
+    // Reset game objects to initial state
+    resetGameObjects() {
+        // Reset bird
+        this.bird.reset(80, 200);
+
+        // Reset pipes, extra obstacles and power-ups (and their effects on the bird and pipes)
+        this.pipeManager.reset();
+        for (const obstacle of this.obstacles) {
+            obstacle.reset();
         }
+        this.itemManager.reset();
+        this.itemManager.applyEffects(this.bird, this.pipeManager);
+
+        // Reset score
+        this.scoreManager.resetScore();
+
+        // Back to the start of the difficulty curve (and the theme rotation)
+        this.applyDifficulty();
+        this.updateTheme();
+
+        // Fresh mode state (clock, crash count)
+        this.mode.reset();
+
+        // Clear collision point, and what the run covered
+        this.collisionPoint = null;
+        this.pipeHit = null;
+        this.crashCause = null;
+        this.runDistance = 0;
+        this.runCoins = 0;
+        this.colliding = false;
+        this.newBestThisRun = false;
     }
 
     // Get current state
@@ -445,6 +1262,22 @@ class GameStateManager {
     }
 }
 
+// Events published on the game's event bus, each with one payload object. Run events
+// (runStart to runEnd) come from live runs, the autopilot's included; replays publish none
+GameStateManager.EVENTS = [
+    'stateChange', // { from, to }
+    'frame', // { state, deltaTime }: after every fixed simulation step
+    'runStart', // { mode, preset, seed, bot, gamesPlayed }
+    'flap', // { frame, time }: time in seconds since the run started
+    'pipePassed', // { score, points }
+    'collision', // { cause: 'topPipe', 'bottomPipe', 'obstacle', 'ground' or 'bounds', ended }: on first contact
+    'newHighScore', // { score, previous }: once per run, when it first beats the best
+    'powerUp', // { type }: a power-up was picked up (see ItemManager.TYPES)
+    'coinCollected', // { value, total }: total is the run's coins so far
+    'shieldBroken', // {}: a shield took a hit
+    'runEnd' // { score, cause (see RunHistory.CAUSES), duration, rank, coins }
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GameStateManager;
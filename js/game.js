@@ -10,13 +10,35 @@ class Game {
         this.fps = 0;
         this.fpsUpdateTime = 0;
 
+        // Fixed-timestep simulation: the world always advances in steps of
+        // exactly fixedTimeStep, however often the browser gives us a frame
+        this.fixedTimeStep = 1000 / 60; // milliseconds per simulation step
+        this.maxFrameTime = 250; // Clamp long frames (tab switches, GC pauses)
+        this.accumulator = 0;
+
         // Game objects (will be initialized)
+        this.events = null;
+        this.random = null;
+        this.storage = null;
+        this.settings = null;
+        this.audio = null;
+        this.music = null;
+        this.renderer = null;
+        this.autopilot = null;
+        this.trainer = null;
         this.bird = null;
         this.pipeManager = null;
+        this.itemManager = null;
         this.scoreManager = null;
+        this.achievements = null;
+        this.wallet = null;
+        this.shop = null;
         this.inputHandler = null;
         this.gameStateManager = null;
 
+        // Plugins added with game.use (see PluginManager); they are set up once the game objects exist
+        this.plugins = new PluginManager(this);
+
         // Performance monitoring
         this.performanceMonitor = {
             enabled: false,
@@ -63,6 +85,9 @@ class Game {
             // Load assets (if any)
             await this.loadAssets();
 
+            // Load the plugin scripts listed in the URL
+            await this.loadPlugins();
+
             // Start the game
             this.start();
 
@@ -97,57 +122,187 @@ class Game {
 
     // Initialize all game objects
     initializeGameObjects() {
+        // Create the event bus input, state changes and run events are published on
+        this.events = new EventBus();
+
+        // Create the seeded random source shared by all pipe spawning
+        this.random = new SeededRandom();
+
         // Create bird
         this.bird = new Bird(80, 200);
 
         // Create pipe manager
-        this.pipeManager = new PipeManager(this.canvas.width, this.canvas.height);
+        this.pipeManager = new PipeManager(this.canvas.width, this.canvas.height, this.random);
+
+        // Create item manager (power-ups in the pipe gaps, coins between pipes)
+        this.itemManager = new ItemManager();
+
+        // Create persistence (localStorage, falling back to memory)
+        this.storage = new StorageAdapter();
+
+        // Create the settings and profile store (one versioned record in storage)
+        this.settings = new SettingsStore(this.storage);
 
         // Create score manager
-        this.scoreManager = new ScoreManager();
+        this.scoreManager = new ScoreManager(this.settings);
+
+        // Create achievements (progress is kept in the profile)
+        this.achievements = new AchievementManager(this.settings);
+
+        // Create the wallet and the shop its coins are spent in (both kept in the profile)
+        this.wallet = new Wallet(this.settings);
+        this.shop = new Shop(this.settings, this.wallet);
 
         // Create input handler
-        this.inputHandler = new InputHandler();
+        this.inputHandler = new InputHandler(true, this.events);
+
+        // Create the sound engine (unlocks on the first click, tap or key press)
+        this.audio = new AudioManager();
+        this.audio.unlockOnGesture();
+
+        // Create the background music, played through the sound engine's music bus
+        this.music = new MusicPlayer(this.audio);
+
+        // Create canvas renderer
+        this.renderer = new CanvasRenderer(this.canvas, this.audio, this.music);
+
+        // Create autopilot bot (its own random source keeps human-like jitter out of the course seed)
+        this.autopilot = new Autopilot(new SeededRandom());
+
+        // Create neuroevolution trainer (runs only while the training screen is open)
+        this.trainer = new Trainer({ width: this.canvas.width, height: this.canvas.height });
 
         // Create game state manager
         this.gameStateManager = new GameStateManager(
-            this.canvas,
             this.bird,
             this.pipeManager,
             this.scoreManager,
-            this.inputHandler
+            this.inputHandler,
+            {
+                width: this.canvas.width,
+                height: this.canvas.height,
+                random: this.random,
+                itemManager: this.itemManager,
+                renderer: this.renderer,
+                autopilot: this.autopilot,
+                trainer: this.trainer,
+                achievements: this.achievements,
+                wallet: this.wallet,
+                shop: this.shop,
+                events: this.events
+            }
         );
 
+        // Toast achievement unlocks
+        this.events.on('achievementUnlocked', (achievement) => this.renderer.showAchievementToast(achievement));
+
+        // Remember the choices made on the start and settings screens
+        this.inputHandler.on('selectPreset', (name) => this.settings.set('preset', name));
+        this.inputHandler.on('selectMode', (name) => this.settings.set('mode', name));
+        this.inputHandler.on('selectSkin', (name) => this.settings.set('skin', name));
+        this.inputHandler.on('selectTheme', (name) => this.settings.set('theme', name));
+        this.inputHandler.on('themeRotation', (points) => this.settings.set('themeRotation', points));
+        this.inputHandler.on('toggleMute', () => this.settings.set('audio.muted', !this.settings.get('audio.muted')));
+        this.inputHandler.on('toggleMusic', () => this.settings.set('audio.musicMuted', !this.settings.get('audio.musicMuted')));
+        this.inputHandler.on('setVolume', (channel, value) => this.settings.set(`audio.volumes.${channel}`, value));
+        this.inputHandler.on('selectHaptics', (value) => this.settings.set('haptics', value === 'on'));
+        this.inputHandler.on('selectFlapKey', (code) => this.settings.set('controls.flapKey', code));
+
+        // Apply the saved settings, then sound, haptics and controls again whenever they change
+        this.restoreSettings();
+        this.settings.onChange((path) => {
+            if (/^(audio|haptics|controls)\b/.test(path)) {
+                this.applyDeviceSettings();
+            }
+        });
+
+        // Start the daily challenge from the start screen
+        this.inputHandler.on('dailyChallenge', () => this.startDailyChallenge());
+
+        // Save the last run's replay from the game over screen
+        this.inputHandler.on('exportReplay', () => this.exportReplay());
+
+        // Save and load trained network weights from the training screen
+        this.inputHandler.on('exportWeights', () => this.exportWeights());
+        this.inputHandler.on('importWeights', () => this.chooseWeightsFile());
+
+        // Fixed seed from the URL, e.g. '?seed=1234' or '?seed=tuesday'
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.has('seed')) {
+            this.setSeed(urlParams.get('seed'));
+        }
+
+        // Autopilot from the URL: '?autopilot=1' or a skill level, e.g. '?autopilot=human'
+        const autopilot = urlParams.get('autopilot');
+        if (autopilot && autopilot !== '0') {
+            if (Autopilot.SKILL_LEVELS[autopilot]) {
+                this.autopilot.setSkill(autopilot);
+            }
+            this.gameStateManager.setAutopilot(true);
+        }
+
+        // Set up the plugins added so far (later ones are set up as they are added)
+        this.plugins.start();
+
         console.log('Game objects initialized');
     }
 
-    // Load game assets (sounds, images, etc.)
+    // Load game assets: sample files for the sound effects that have one
     async loadAssets() {
-        const assets = [
-            { id: 'jumpSound', element: document.getElementById('jumpSound') },
-            { id: 'scoreSound', element: document.getElementById('scoreSound') },
-            { id: 'hitSound', element: document.getElementById('hitSound') }
-        ];
-
-        const loadPromises = assets.map(asset => {
-            return new Promise((resolve) => {
-                if (asset.element) {
-                    asset.element.addEventListener('canplaythrough', resolve, { once: true });
-                    asset.element.addEventListener('error', resolve, { once: true });
-                    // Set a timeout in case loading takes too long
-                    setTimeout(resolve, 2000);
-                } else {
-                    resolve();
-                }
-            });
-        });
+        await this.audio.loadSamples();
+        console.log('Assets loaded (missing sounds are synthesized)');
+    }
 
-        try {
-            await Promise.all(loadPromises);
-            console.log('Assets loaded (or timed out gracefully)');
-        } catch (error) {
-            console.warn('Asset loading had some issues, but game will continue:', error);
+    // Load the plugin scripts listed in the URL, e.g. '?plugins=plugins/wind.js,plugins/clock.js'
+    async loadPlugins() {
+        const list = new URLSearchParams(window.location.search).get('plugins');
+        if (!list) return;
+
+        const sources = list.split(',').map(source => source.trim()).filter(Boolean);
+        await this.plugins.loadScripts(sources);
+        console.log(`Plugins: ${this.plugins.getNames().join(', ') || 'none'}`);
+    }
+
+    // Add a plugin (see PluginManager for what it can do); returns the game, so calls chain
+    use(plugin) {
+        this.plugins.use(plugin);
+        return this;
+    }
+
+    // Put the saved start screen choices back, then the device settings
+    restoreSettings() {
+        const preset = this.settings.get('preset');
+        if (DifficultyCurve.PRESETS[preset]) {
+            this.gameStateManager.setPreset(preset);
+        }
+        const mode = this.settings.get('mode');
+        if (GameMode.MODES[mode]) {
+            this.gameStateManager.setMode(mode);
+        }
+        const skin = this.settings.get('skin');
+        if (BirdSkin.SKINS[skin]) {
+            this.gameStateManager.setSkin(skin);
+        }
+        const theme = this.settings.get('theme');
+        if (ThemeManager.THEMES[theme]) {
+            this.gameStateManager.setTheme(theme);
         }
+        this.gameStateManager.setThemeRotation(Number(this.settings.get('themeRotation')) || 0);
+
+        this.applyDeviceSettings();
+    }
+
+    // Apply sound, haptics and controls, and show them on the settings screen
+    applyDeviceSettings() {
+        this.audio.applySettings(this.settings.get('audio'));
+        this.renderer.setHaptics(this.settings.get('haptics'));
+        this.inputHandler.setFlapKey(this.settings.get('controls.flapKey'));
+
+        this.renderer.updateAudioControls(this.audio.getSettings());
+        this.renderer.updateSettingsScreen({
+            haptics: this.settings.get('haptics'),
+            flapKey: this.settings.get('controls.flapKey')
+        });
     }
 
     // Start the game
@@ -160,6 +315,7 @@ class Game {
         console.log('Starting game...');
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.frameCount = 0;
 
         // Start game in menu state
@@ -169,7 +325,7 @@ class Game {
         this.gameLoop();
 
         // Setup performance monitoring
-        this.setupPerformanceMonitoring();
+        this.setupPerformanceMonitor();
     }
 
     // Main game loop
@@ -178,37 +334,42 @@ class Game {
             return;
         }
 
-        // Calculate delta time
+        // Calculate frame time
         const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = Math.min(currentTime - this.lastTime, this.maxFrameTime);
         this.lastTime = currentTime;
 
         // Update FPS counter
         this.updateFPS(currentTime);
 
-        // Update game state
-        this.update(deltaTime);
+        // Run as many fixed simulation steps as the elapsed time covers
+        // (scaled while a replay is fast-forwarded or paused)
+        this.accumulator += frameTime * this.gameStateManager.getTimeScale();
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.update(this.fixedTimeStep / 1000);
+            this.accumulator -= this.fixedTimeStep;
+        }
+
+        // Update performance monitor
+        this.updatePerformanceMonitor(frameTime);
 
-        // Render game
-        this.render();
+        // Render game, blending between the last two simulation steps
+        this.render(this.accumulator / this.fixedTimeStep);
 
         // Request next frame
         this.animationId = requestAnimationFrame(() => this.gameLoop());
     }
 
-    // Update game logic
+    // Advance game logic by one fixed step (deltaTime in seconds)
     update(deltaTime) {
         // Update game state manager (which updates all game objects)
         this.gameStateManager.update(deltaTime);
-
-        // Update performance monitor
-        this.updatePerformanceMonitor(deltaTime);
     }
 
     // Render game
-    render() {
+    render(alpha) {
         // Render through game state manager
-        this.gameStateManager.render();
+        this.gameStateManager.render(alpha);
 
         // Render debug information (if enabled)
         if (this.performanceMonitor.enabled) {
@@ -231,13 +392,17 @@ class Game {
     renderDebugInfo() {
         this.ctx.save();
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(5, 5, 150, 60);
+        this.ctx.fillRect(5, 5, 150, 105);
 
         this.ctx.fillStyle = 'white';
         this.ctx.font = '12px monospace';
         this.ctx.fillText(`FPS: ${this.fps}`, 10, 20);
         this.ctx.fillText(`State: ${this.gameStateManager.getCurrentState()}`, 10, 35);
         this.ctx.fillText(`Score: ${this.scoreManager.getCurrentScore()}`, 10, 50);
+        this.ctx.fillText(`Seed: ${this.gameStateManager.getRunSeed() ?? '-'}`, 10, 65);
+        const autopilot = this.gameStateManager.isAutopilotEnabled() ? this.autopilot.getSkill() : 'off';
+        this.ctx.fillText(`Autopilot: ${autopilot}`, 10, 80);
+        this.ctx.fillText(`Level: ${this.gameStateManager.getDifficultyLevel()}`, 10, 95);
 
         this.ctx.restore();
     }
@@ -252,7 +417,38 @@ class Game {
             console.log('Performance monitoring enabled');
             this.performanceMonitor.startTime = performance.now();
             this.performanceMonitor.lastFrameTime = this.performanceMonitor.startTime;
+            this.setupDebugControls();
+        }
+    }
+
+    // Setup the interactive part of the debug overlay (autopilot toggle and skill)
+    setupDebugControls() {
+        const panel = document.getElementById('debugPanel');
+        if (!panel || this.debugControlsReady) return;
+        this.debugControlsReady = true;
+
+        const toggle = document.getElementById('autopilotToggle');
+        const skillSelect = document.getElementById('autopilotSkill');
+
+        for (const [name, skill] of Object.entries(Autopilot.SKILL_LEVELS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = skill.label;
+            skillSelect.appendChild(option);
         }
+
+        toggle.checked = this.gameStateManager.isAutopilotEnabled();
+        skillSelect.value = this.autopilot.getSkill();
+
+        toggle.addEventListener('change', () => {
+            this.gameStateManager.setAutopilot(toggle.checked);
+        });
+
+        skillSelect.addEventListener('change', () => {
+            this.autopilot.setSkill(skillSelect.value);
+        });
+
+        panel.classList.remove('hidden');
     }
 
     // Update performance monitor
@@ -345,21 +541,93 @@ class Game {
 
     // Handle visibility change (pause when tab is not visible)
     handleVisibilityChange() {
+        // The run waits on the pause screen until the player resumes it;
+        // sound holds while the page is hidden
         if (document.hidden) {
-            // Tab is hidden, consider pausing the game
-            if (this.gameStateManager.isPlaying()) {
-                console.log('Game paused (tab hidden)');
-                this.stop();
-            }
+            this.handleBlur();
+            this.audio.suspend();
         } else {
-            // Tab is visible again
-            if (!this.isRunning) {
-                console.log('Game resumed (tab visible)');
-                this.start();
-            }
+            this.audio.unlock();
         }
     }
 
+    // Pause a run in progress when the window loses focus
+    handleBlur() {
+        if (this.gameStateManager) {
+            this.gameStateManager.pauseGame();
+        }
+    }
+
+    // Play every following run on a fixed seed (number or string); null restores random runs
+    setSeed(seed) {
+        const normalized = seed === null || seed === '' ? null : SeededRandom.normalizeSeed(seed);
+        this.gameStateManager.setSeed(normalized);
+        console.log(normalized === null ? 'Seed cleared' : `Seed set: ${normalized}`);
+    }
+
+    // Start today's challenge course, shared by everyone playing on the same (UTC) date
+    startDailyChallenge(date = new Date()) {
+        const seed = SeededRandom.dailySeed(date);
+        console.log(`Daily challenge ${SeededRandom.formatDate(date)} (seed ${seed})`);
+        this.gameStateManager.startChallenge(seed);
+    }
+
+    // Download the last run's replay as a JSON file
+    exportReplay() {
+        const replay = this.gameStateManager.getReplay();
+        if (!replay) {
+            console.warn('No replay to export');
+            return;
+        }
+
+        this.downloadJSON(replay, `flappy-replay-${replay.seed}-${replay.score}.json`);
+    }
+
+    // Download the trainer's best network weights as a JSON file
+    exportWeights() {
+        const weights = this.trainer.exportWeights();
+        if (!weights) {
+            console.warn('No trained weights yet (wait for the first generation to finish)');
+            return;
+        }
+
+        this.downloadJSON(weights, `flappy-weights-gen${weights.generation}.json`);
+    }
+
+    // Let the player pick a weights file and continue training from it
+    chooseWeightsFile() {
+        const input = document.getElementById('trainingWeightsFile');
+        if (!input) return;
+
+        input.onchange = () => {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+
+            file.text().then(text => {
+                this.trainer.importWeights(text);
+                console.log(`Loaded weights from ${file.name}`);
+            }).catch(error => {
+                console.error('Failed to load weights:', error);
+            });
+        };
+        input.click();
+    }
+
+    // Save an object as a pretty-printed JSON download
+    downloadJSON(data, filename) {
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // Handle window resize
     handleResize() {
         // Update canvas size if needed
@@ -375,35 +643,33 @@ class Game {
             currentState: this.gameStateManager?.getCurrentState(),
             currentScore: this.scoreManager?.getCurrentScore(),
             highScore: this.scoreManager?.getHighScore(),
+            seed: this.gameStateManager?.getRunSeed(),
             frameCount: this.frameCount
         };
     }
 }
 
-// Auto-start the game when script loads
-let game;
-
-// Wait for DOM to be ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        game = new Game();
-    });
-} else {
-    game = new Game();
-}
+// Auto-start the game when script loads (it waits for the DOM by itself), so
+// window.game is there straight away for plugins to call game.use
+const game = new Game();
 
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
-    if (game) {
+    if (game.isRunning) {
         game.handleVisibilityChange();
     }
 });
 
+// Pause when the window loses focus
+window.addEventListener('blur', () => {
+    if (game.isRunning) {
+        game.handleBlur();
+    }
+});
+
 // Handle window resize
 window.addEventListener('resize', () => {
-    if (game) {
-        game.handleResize();
-    }
+    game.handleResize();
 });
 
 // Global error handler
@@ -411,7 +677,5 @@ window.addEventListener('error', (event) => {
     console.error('Global error:', event.error);
 });
 
-// Make game instance available globally for debugging
-if (typeof window !== 'undefined') {
-    window.game = game;
-}
\ No newline at end of file
+// Make the game available globally, for plugins (game.use) and debugging
+window.game = game;
\ No newline at end of file
@@ -0,0 +1,245 @@
+// Headless entry point: runs the game simulation in Node without a DOM or canvas.
+//
+//   const Simulation = require('./js/headless');
+//   const sim = new Simulation({ seed: 42 });
+//   sim.start();
+//   while (!sim.isOver()) {
+//       if (shouldFlap(sim.getSnapshot())) sim.jump();
+//       sim.step();
+//   }
+//
+// In the browser the game's scripts share their classes as globals; register
+// the core classes the same way so they can find each other here too.
+Object.assign(globalThis, {
+    SeededRandom: require('./random'),
+    Collision: require('./collision'),
+    DifficultyCurve: require('./difficulty'),
+    GameMode: require('./game-modes'),
+    ThemeManager: require('./themes'),
+    ParallaxBackground: require('./parallax'),
+    BirdSkin: require('./skins'),
+    Bird: require('./bird'),
+    PipeType: require('./pipe-types'),
+    PipeManager: require('./pipe'),
+    ItemManager: require('./items'),
+    Replay: require('./replay'),
+    Autopilot: require('./autopilot'),
+    NeuralNetwork: require('./neural-network'),
+    Trainer: require('./trainer'),
+    StorageAdapter: require('./storage'),
+    SettingsStore: require('./settings'),
+    EventBus: require('./event-bus'),
+    InputHandler: require('./input'),
+    Leaderboard: require('./leaderboard'),
+    RunHistory: require('./run-history'),
+    ScoreManager: require('./score'),
+    AchievementManager: require('./achievements'),
+    Wallet: require('./wallet'),
+    Shop: require('./shop'),
+    Renderer: require('./renderer'),
+    GameStateManager: require('./game-states')
+});
+
+// Simulation wires the core together with headless adapters and steps it frame by frame
+class Simulation {
+    constructor(options = {}) {
+        this.width = options.width ?? 320;
+        this.height = options.height ?? 568;
+        this.timeStep = options.timeStep ?? 1 / 60; // seconds per frame
+
+        // Adapters: in-memory storage, no DOM input, a renderer that draws nothing
+        this.storage = options.storage ?? new StorageAdapter(null);
+        this.settings = new SettingsStore(this.storage);
+
+        // One event bus for input and game events (an input handler passed in brings its own)
+        this.events = options.inputHandler ? options.inputHandler.events : new EventBus();
+        this.inputHandler = options.inputHandler ?? new InputHandler(false, this.events);
+        this.renderer = options.renderer ?? new Renderer();
+
+        // Core objects
+        this.random = new SeededRandom();
+        this.autopilot = new Autopilot(new SeededRandom(options.autopilotSeed));
+        this.bird = new Bird(80, 200);
+        this.pipeManager = new PipeManager(this.width, this.height, this.random);
+        this.itemManager = new ItemManager();
+        this.scoreManager = new ScoreManager(this.settings, {});
+        this.achievements = new AchievementManager(this.settings);
+        this.wallet = new Wallet(this.settings);
+        this.shop = new Shop(this.settings, this.wallet);
+        this.stateManager = new GameStateManager(
+            this.bird,
+            this.pipeManager,
+            this.scoreManager,
+            this.inputHandler,
+            {
+                width: this.width,
+                height: this.height,
+                random: this.random,
+                itemManager: this.itemManager,
+                renderer: this.renderer,
+                autopilot: this.autopilot,
+                achievements: this.achievements,
+                wallet: this.wallet,
+                shop: this.shop,
+                events: this.events,
+                logStateChanges: options.logStateChanges ?? false
+            }
+        );
+
+        if (options.seed !== undefined && options.seed !== null) {
+            this.setSeed(options.seed);
+        }
+        if (options.preset) {
+            this.setPreset(options.preset);
+        }
+        if (options.mode) {
+            this.setMode(options.mode);
+        }
+
+        this.stateManager.setState(this.stateManager.STATES.MENU);
+    }
+
+    // Play every following run on a fixed seed (number or string)
+    setSeed(seed) {
+        this.stateManager.setSeed(SeededRandom.normalizeSeed(seed));
+    }
+
+    // Play on a difficulty preset (see DifficultyCurve.PRESETS), e.g. 'hard'
+    setPreset(name) {
+        this.stateManager.setPreset(name);
+        return this;
+    }
+
+    // Play a game mode (see GameMode.MODES), e.g. 'timeAttack'
+    setMode(name) {
+        this.stateManager.setMode(name);
+        return this;
+    }
+
+    // Let the built-in bot play (and restart runs by itself); skill as in Autopilot.SKILL_LEVELS
+    setAutopilot(enabled, skill = this.autopilot.getSkill()) {
+        this.autopilot.setSkill(skill);
+        this.stateManager.setAutopilot(enabled);
+        return this;
+    }
+
+    // Start a run from the menu, or restart after game over
+    start() {
+        const STATES = this.stateManager.STATES;
+        if (this.stateManager.getCurrentState() === STATES.MENU) {
+            this.inputHandler.triggerCallbacks('gameStart');
+        } else if (this.stateManager.getCurrentState() === STATES.GAME_OVER) {
+            this.inputHandler.triggerCallbacks('gameRestart');
+        }
+        return this;
+    }
+
+    // Flap, exactly as a click or key press would
+    jump() {
+        this.inputHandler.triggerCallbacks('jump');
+        return this;
+    }
+
+    // Advance the simulation by a number of fixed frames
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.stateManager.update(this.timeStep);
+        }
+        return this;
+    }
+
+    // Check if the current run has ended
+    isOver() {
+        return this.stateManager.isGameOver();
+    }
+
+    // Plain snapshot of the world, for bots and assertions
+    getSnapshot() {
+        return {
+            state: this.stateManager.getCurrentState(),
+            frame: this.stateManager.runFrame,
+            seed: this.stateManager.getRunSeed(),
+            score: this.scoreManager.getCurrentScore(),
+            bird: {
+                x: this.bird.x,
+                y: this.bird.y,
+                velocity: this.bird.velocity
+            },
+            pipes: this.pipeManager.getAllPipes().map(pipe => ({
+                id: pipe.id,
+                type: pipe.type,
+                x: pipe.x,
+                width: pipe.width,
+                gapY: pipe.gapY,
+                gapSize: pipe.gapSize
+            })),
+            items: this.itemManager.items.map(item => ({ type: item.type, x: item.x, y: item.y })),
+            effects: { ...this.itemManager.effects }, // Active power-ups: type -> seconds left
+            coins: this.stateManager.runCoins, // Coins picked up this run
+            level: this.stateManager.getDifficultyLevel(),
+            mode: this.stateManager.getMode().name,
+            pipeWidth: this.pipeManager.pipeWidth
+        };
+    }
+
+    // Re-simulate an exported replay and check that it produces the score it claims.
+    // A run with extra obstacles (e.g. from plugins) can only be checked with the same
+    // obstacles added (see GameStateManager.addObstacle); without them this throws
+    verifyReplay(data) {
+        const replay = Replay.fromJSON(data);
+        const maxFrames = replay.frames + 1;
+
+        const obstacles = this.stateManager.getObstacleNames();
+        if ([...obstacles].sort().join() !== [...replay.obstacles].sort().join()) {
+            throw new Error(`Replay was recorded with obstacles [${replay.obstacles.join(', ')}], ` +
+                `but this simulation has [${obstacles.join(', ')}]`);
+        }
+
+        this.stateManager.setMode(replay.mode);
+        this.stateManager.applyPhysicsConfig(replay.config);
+        this.stateManager.setSeed(replay.seed);
+        this.timeStep = replay.timeStep;
+        this.start();
+
+        let cursor = 0;
+        while (!this.isOver() && this.stateManager.runFrame < maxFrames) {
+            while (cursor < replay.jumps.length && replay.jumps[cursor] === this.stateManager.runFrame) {
+                this.jump();
+                cursor++;
+            }
+            this.step();
+        }
+
+        const score = this.scoreManager.getCurrentScore();
+        const frames = this.stateManager.runFrame;
+        return {
+            valid: this.isOver() && score === replay.score && frames === replay.frames,
+            score,
+            frames
+        };
+    }
+
+    // Let the bot play one run for up to a number of seconds, e.g. to check that the
+    // course stays passable (the perfect bot should get through a long run)
+    playAutopilot(seconds = 300, skill = 'perfect') {
+        this.setAutopilot(true, skill);
+        this.start();
+
+        const maxFrames = Math.round(seconds / this.timeStep);
+        while (!this.isOver() && this.stateManager.runFrame < maxFrames) {
+            this.step();
+        }
+
+        this.setAutopilot(false);
+        return {
+            survived: !this.isOver(),
+            score: this.scoreManager.getCurrentScore(),
+            frames: this.stateManager.runFrame
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Simulation;
+}
\ No newline at end of file
@@ -1,11 +1,17 @@
-// InputHandler class manages all user interactions
+// InputHandler class manages all user interactions, publishing them as events on
+// the game's EventBus. Without a DOM (headless runs) it only publishes events
+// passed to triggerCallbacks.
 class InputHandler {
-    constructor() {
-        this.callbacks = {
-            jump: [],
-            gameStart: [],
-            gameRestart: []
-        };
+    constructor(listenToDom = typeof document !== 'undefined', events = new EventBus()) {
+        this.listenToDom = listenToDom;
+
+        // Input events are published on the game's event bus (see InputHandler.EVENTS)
+        this.events = events;
+        this.events.declare(InputHandler.EVENTS);
+        this.subscriptions = []; // Unsubscribe functions of the listeners added through on()
+
+        // Key that flaps (a KeyboardEvent code, see setFlapKey)
+        this.flapKey = 'Space';
 
         // Input state tracking
         this.isJumping = false;
@@ -17,7 +23,9 @@ class InputHandler {
         this.isTouching = false;
 
         // Initialize event listeners
-        this.initializeEventListeners();
+        if (this.listenToDom) {
+            this.initializeEventListeners();
+        }
     }
 
     // Initialize all event listeners
@@ -48,10 +56,115 @@ class InputHandler {
 
         // Handle overlay clicks for game state changes
         gameOverlay.addEventListener('click', (e) => {
+            if (this.isControlTarget(e.target)) return;
             e.preventDefault();
             this.handleOverlayClick();
         });
 
+        // Menu and replay buttons
+        this.bindButton('dailyChallengeButton', 'dailyChallenge');
+        this.bindButton('watchReplayButton', 'watchReplay');
+        this.bindButton('exportReplayButton', 'exportReplay');
+        this.bindButton('replayPlayPause', 'replayToggle');
+        this.bindButton('replayExit', 'replayExit');
+
+        // Pause button and pause screen
+        this.bindButton('pauseButton', 'pause');
+        this.bindButton('resumeButton', 'resume');
+        this.bindButton('pauseRestartButton', 'gameRestart');
+        this.bindButton('quitButton', 'quit');
+
+        // Sound: mute button, plus the volume sliders (channel in data-channel) and music
+        // switch of every .audio-settings block (pause and settings screens)
+        this.bindButton('muteButton', 'toggleMute');
+        for (const slider of document.querySelectorAll('.audio-settings [data-channel]')) {
+            slider.addEventListener('input', () => {
+                this.triggerCallbacks('setVolume', slider.dataset.channel, Number(slider.value));
+            });
+        }
+        for (const button of document.querySelectorAll('.audio-settings .music-toggle')) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.triggerCallbacks('toggleMusic');
+            });
+        }
+
+        // Settings screen
+        this.bindButton('settingsButton', 'openSettings');
+        this.bindButton('settingsBack', 'closeSettings');
+        this.bindPickerButtons('hapticsPicker', 'selectHaptics');
+        this.bindPickerButtons('flapKeyPicker', 'selectFlapKey');
+
+        // Plugin settings are added later, so listen on their container for the
+        // picker buttons (the setting is in the picker's data-setting)
+        const pluginSettings = document.getElementById('pluginSettings');
+        if (pluginSettings) {
+            pluginSettings.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-setting] [data-value]');
+                if (!button) return;
+                e.preventDefault();
+                this.triggerCallbacks('selectPluginSetting', button.closest('[data-setting]').dataset.setting, button.dataset.value);
+            });
+        }
+
+        // Leaderboard screen, and the initials entry after a run that made the board
+        this.bindButton('leaderboardButton', 'openLeaderboard');
+        this.bindButton('leaderboardBack', 'closeLeaderboard');
+
+        // Stats screen
+        this.bindButton('statsButton', 'openStats');
+        this.bindButton('statsBack', 'closeStats');
+
+        // Achievements gallery
+        this.bindButton('achievementsButton', 'openAchievements');
+        this.bindButton('achievementsBack', 'closeAchievements');
+
+        // Shop; its items are listed when it opens, so listen on the list for their buttons
+        this.bindButton('shopButton', 'openShop');
+        this.bindButton('shopBack', 'closeShop');
+        const shopList = document.getElementById('shopList');
+        if (shopList) {
+            shopList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-item]');
+                if (!button) return;
+                e.preventDefault();
+                this.triggerCallbacks('shopSelect', button.dataset.item);
+            });
+        }
+
+        // Initials entry after a run that made the leaderboard
+        const initialsForm = document.getElementById('initialsForm');
+        if (initialsForm) {
+            initialsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.triggerCallbacks('submitInitials', document.getElementById('initialsInput').value);
+            });
+        }
+
+        // Replay speed buttons carry their speed in data-speed
+        this.bindSpeedButtons('replayControls', 'replaySpeed');
+
+        // Difficulty preset, game mode, skin and theme pickers on the start screen
+        this.bindPickerButtons('presetPicker', 'selectPreset');
+        this.bindPickerButtons('modePicker', 'selectMode');
+        this.bindPickerButtons('skinPicker', 'selectSkin');
+        this.bindPickerButtons('themePicker', 'selectTheme');
+
+        // Theme rotation: points per theme change (0 is off)
+        const themeRotation = document.getElementById('themeRotation');
+        if (themeRotation) {
+            themeRotation.addEventListener('change', () => {
+                this.triggerCallbacks('themeRotation', Number(themeRotation.value));
+            });
+        }
+
+        // Training buttons
+        this.bindButton('trainButton', 'startTraining');
+        this.bindButton('trainingSave', 'exportWeights');
+        this.bindButton('trainingLoad', 'importWeights');
+        this.bindButton('trainingExit', 'trainingExit');
+        this.bindSpeedButtons('trainingControls', 'trainingSpeed');
+
         // Prevent right-click context menu
         canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
@@ -62,14 +175,17 @@ class InputHandler {
     // Add keyboard event listeners
     addKeyboardListeners() {
         document.addEventListener('keydown', (e) => {
-            // Space bar for jump
-            if (e.code === 'Space') {
+            // Keys typed into a text field (the initials) are text, not commands
+            if (this.isTextEntry(e.target)) return;
+
+            // Flap key (Space unless changed in the settings)
+            if (e.code === this.flapKey) {
                 e.preventDefault();
                 this.handleJump();
             }
 
-            // Enter key for game state changes
-            if (e.code === 'Enter') {
+            // Enter key for game state changes (focused buttons handle their own Enter)
+            if (e.code === 'Enter' && !this.isControlTarget(e.target)) {
                 e.preventDefault();
                 this.handleOverlayClick();
             }
@@ -79,6 +195,18 @@ class InputHandler {
                 e.preventDefault();
                 this.triggerCallbacks('gameRestart');
             }
+
+            // 'P' or Escape to pause and resume
+            if (e.code === 'KeyP' || e.code === 'Escape') {
+                e.preventDefault();
+                this.triggerCallbacks('pause');
+            }
+
+            // 'M' to mute and unmute
+            if (e.code === 'KeyM') {
+                e.preventDefault();
+                this.triggerCallbacks('toggleMute');
+            }
         });
 
         // Prevent space bar from scrolling
@@ -89,6 +217,11 @@ class InputHandler {
         });
     }
 
+    // Choose the key that flaps, as a KeyboardEvent code (e.g. 'Space', 'ArrowUp', 'KeyW')
+    setFlapKey(code) {
+        this.flapKey = code;
+    }
+
     // Add touch event listeners for mobile
     addTouchListeners() {
         const canvas = document.getElementById('gameCanvas');
@@ -116,6 +249,8 @@ class InputHandler {
 
         // Touch on overlay for game state changes
         gameOverlay.addEventListener('touchstart', (e) => {
+            // Let buttons receive their click
+            if (this.isControlTarget(e.target)) return;
             e.preventDefault();
             this.handleOverlayClick();
         }, { passive: false });
@@ -183,6 +318,7 @@ class InputHandler {
     handleOverlayClick() {
         const startScreen = document.getElementById('startScreen');
         const gameOverScreen = document.getElementById('gameOverScreen');
+        const pauseScreen = document.getElementById('pauseScreen');
 
         if (!startScreen.classList.contains('hidden')) {
             // Start game
@@ -190,11 +326,57 @@ class InputHandler {
         } else if (!gameOverScreen.classList.contains('hidden')) {
             // Restart game
             this.triggerCallbacks('gameRestart');
+        } else if (!pauseScreen.classList.contains('hidden')) {
+            // Resume game
+            this.triggerCallbacks('resume');
+        }
+    }
+
+    // Trigger an input event when a button is clicked
+    bindButton(id, event) {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.triggerCallbacks(event);
+            });
+        }
+    }
+
+    // Trigger an input event with the speed of a [data-speed] button inside a container
+    bindSpeedButtons(containerId, event) {
+        for (const button of document.querySelectorAll(`#${containerId} [data-speed]`)) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.triggerCallbacks(event, Number(button.dataset.speed));
+            });
         }
     }
 
+    // Trigger an input event with the value of a [data-value] button inside a picker
+    bindPickerButtons(containerId, event) {
+        for (const button of document.querySelectorAll(`#${containerId} [data-value]`)) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.triggerCallbacks(event, button.dataset.value);
+            });
+        }
+    }
+
+    // Check if an event target is an interactive control inside the overlay
+    isControlTarget(target) {
+        return Boolean(target && target.closest && target.closest('button, input, select, label, a, form'));
+    }
+
+    // Check if an event target is a field the player types text into
+    isTextEntry(target) {
+        return Boolean(target && target.matches && target.matches('input[type="text"], textarea'));
+    }
+
     // Add visual feedback for input
     addVisualFeedback() {
+        if (!this.listenToDom) return;
+
         const canvas = document.getElementById('gameCanvas');
 
         // Brief scale effect
@@ -210,34 +392,21 @@ class InputHandler {
         }, 100);
     }
 
-    // Register callback for specific input events
+    // Register callback for specific input events; returns a function that removes it
     on(event, callback) {
-        if (this.callbacks[event]) {
-            this.callbacks[event].push(callback);
-        }
+        const unsubscribe = this.events.on(event, callback);
+        this.subscriptions.push(unsubscribe);
+        return unsubscribe;
     }
 
     // Remove callback for specific input events
     off(event, callback) {
-        if (this.callbacks[event]) {
-            const index = this.callbacks[event].indexOf(callback);
-            if (index > -1) {
-                this.callbacks[event].splice(index, 1);
-            }
-        }
+        this.events.off(event, callback);
     }
 
-    // Trigger all callbacks for a specific event
-    triggerCallbacks(event) {
-        if (this.callbacks[event]) {
-            this.callbacks[event].forEach(callback => {
-                try {
-                    callback();
-                } catch (error) {
-                    console.error(`Error in ${event} callback:`, error);
-                }
-            });
-        }
+    // Publish an input event to everything listening on the bus
+    triggerCallbacks(event, ...args) {
+        this.events.emit(event, ...args);
     }
 
     // Check if user is currently touching
@@ -270,16 +439,36 @@ class InputHandler {
 
     // Clean up event listeners
     destroy() {
-        // Remove all event listeners here if needed
-        // This is useful for cleanup when the game is destroyed
-        this.callbacks = {
-            jump: [],
-            gameStart: [],
-            gameRestart: []
-        };
+        // Remove the callbacks registered through on()
+        for (const unsubscribe of this.subscriptions) {
+            unsubscribe();
+        }
+        this.subscriptions = [];
     }
 }
 
+// Input events, published with the arguments given to triggerCallbacks
+InputHandler.EVENTS = [
+    // Flap, start and restart
+    'jump', 'gameStart', 'gameRestart', 'dailyChallenge',
+    // Start and settings screen pickers
+    'selectPreset', 'selectMode', 'selectSkin', 'selectTheme', 'themeRotation',
+    // Replays
+    'watchReplay', 'exportReplay', 'replayToggle', 'replaySpeed', 'replayExit',
+    // AI training
+    'startTraining', 'trainingSpeed', 'trainingExit', 'exportWeights', 'importWeights',
+    // Pause screen
+    'pause', 'resume', 'quit',
+    // Sound
+    'toggleMute', 'toggleMusic', 'setVolume',
+    // Settings screen
+    'openSettings', 'closeSettings', 'selectHaptics', 'selectFlapKey', 'selectPluginSetting',
+    // Leaderboard, stats and achievements
+    'submitInitials', 'openLeaderboard', 'closeLeaderboard', 'openStats', 'closeStats', 'openAchievements', 'closeAchievements',
+    // Shop
+    'openShop', 'closeShop', 'shopSelect'
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = InputHandler;
@@ -0,0 +1,322 @@
+// ItemManager handles the pickups flown through during a run: power-ups spawn in the
+// gaps of some new pipes and scroll with them, and flying into one starts its effect
+// for a while (see ItemManager.TYPES). How often each power-up turns up is set per
+// difficulty preset (see DifficultyCurve.PRESETS). Coins are strung along the way
+// between some pipes, from one gap to the next, and paid into the Wallet. Spawning
+// draws from random sources of its own, seeded from the run's seed, so the pipes of a
+// seed are the same with or without pickups and replays pick up the same items on the
+// same frames.
+class ItemManager {
+    constructor(types = ItemManager.TYPES) {
+        this.types = types;
+        this.random = new SeededRandom();
+        this.coinRandom = new SeededRandom(); // Apart, so coins don't change which power-ups turn up
+
+        // Chance per new pipe of each power-up turning up in its gap, by type
+        this.rates = {};
+
+        this.items = []; // Pickups waiting in the world: { type, x, y, previousX, previousY }
+        this.effects = {}; // Active effects: type -> seconds left
+        this.lastPipeId = -1; // Newest pipe already given its chance of a power-up
+        this.radius = 10; // Pickup size in pixels, unless the type has its own (size)
+        this.shieldGrace = 0; // Seconds the bird still passes through things after its shield broke
+    }
+
+    // Seed the spawns of a run from the run's seed
+    setSeed(seed) {
+        this.random.setSeed(`items-${seed}`);
+        this.coinRandom.setSeed(`coins-${seed}`);
+    }
+
+    // Set how often each power-up spawns ({ type: chance per pipe }); unknown types are ignored
+    setRates(rates) {
+        this.rates = {};
+        for (const [type, chance] of Object.entries(rates)) {
+            if (this.types[type] && typeof chance === 'number') {
+                this.rates[type] = chance;
+            }
+        }
+    }
+
+    // The spawn rates (plain data, e.g. for saving with a replay)
+    getRates() {
+        return { ...this.rates };
+    }
+
+    // Advance one step (deltaTime in seconds): spawn in new pipes' gaps, scroll, pull
+    // pickups towards a magnetized bird, pick up what it touches and run the effects
+    // down. Returns the types picked up on this step
+    update(deltaTime, bird, pipeManager) {
+        this.spawn(pipeManager);
+
+        const speed = pipeManager.getSpeed();
+        const magnet = this.effects.magnet > 0 ? this.types.magnet : null;
+        const collected = [];
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            item.previousX = item.x;
+            item.previousY = item.y;
+            item.x -= speed * deltaTime;
+
+            // The magnet pulls in what is within its reach
+            const dx = bird.x - item.x;
+            const dy = bird.y - item.y;
+            const distance = Math.hypot(dx, dy);
+            if (magnet && this.types[item.type].magnetic && distance > 0 && distance < magnet.radius) {
+                const pull = Math.min(distance, magnet.pull * deltaTime);
+                item.x += dx / distance * pull;
+                item.y += dy / distance * pull;
+            }
+
+            if (Math.hypot(bird.x - item.x, bird.y - item.y) < bird.width / 2 + this.getRadius(item.type)) {
+                this.items.splice(i, 1);
+                this.collect(item.type);
+                collected.push(item.type);
+            } else if (item.x + this.getRadius(item.type) < 0) {
+                this.items.splice(i, 1);
+            }
+        }
+
+        // Run the effects down
+        for (const type of Object.keys(this.effects)) {
+            this.effects[type] -= deltaTime;
+            if (this.effects[type] <= 0) {
+                delete this.effects[type];
+            }
+        }
+        this.shieldGrace = Math.max(0, this.shieldGrace - deltaTime);
+
+        this.applyEffects(bird, pipeManager);
+        return collected;
+    }
+
+    // Give each pipe that appeared since the last step its chance of a power-up in its
+    // gap, and of a string of coins on the way to it from the pipe before
+    spawn(pipeManager) {
+        pipeManager.pipes.forEach((pipe, index) => {
+            if (pipe.id <= this.lastPipeId) return;
+            this.lastPipeId = pipe.id;
+
+            const type = this.pickType();
+            if (type) {
+                this.addItem(type, pipe.x + pipe.width / 2, pipe.gapY + pipe.gapSize / 2);
+            }
+
+            const previous = pipeManager.pipes[index - 1];
+            const coin = this.types.coin;
+            if (coin && previous && this.coinRandom.next() < coin.chance) {
+                this.spawnCoins(previous, pipe, coin.count);
+            }
+        });
+    }
+
+    // Line coins up between two pipes, from the middle of one gap to the middle of the next
+    spawnCoins(from, to, count) {
+        const startX = from.x + from.width;
+        const startY = from.gapY + from.gapSize / 2;
+        const endY = to.gapY + to.gapSize / 2;
+        const spacing = (to.x - startX) / (count + 1);
+
+        for (let i = 1; i <= count; i++) {
+            this.addItem('coin', startX + spacing * i, startY + (endY - startY) * i / (count + 1));
+        }
+    }
+
+    // Put a pickup in the world
+    addItem(type, x, y) {
+        this.items.push({ type, x, y, previousX: x, previousY: y });
+    }
+
+    // Pickup size of a type in pixels
+    getRadius(type) {
+        return this.types[type].size ?? this.radius;
+    }
+
+    // Roll for a power-up: one random draw per pipe, so the rates add up
+    pickType() {
+        let roll = this.random.next();
+        for (const [type, chance] of Object.entries(this.rates)) {
+            if (roll < chance) {
+                return type;
+            }
+            roll -= chance;
+        }
+        return null;
+    }
+
+    // Start (or restart) the effect of a picked up power-up
+    collect(type) {
+        const duration = this.types[type].duration;
+        if (duration) {
+            this.effects[type] = duration;
+        }
+    }
+
+    // Set the bird and pipes up for the active effects: slow motion, shrinking
+    applyEffects(bird, pipeManager) {
+        const slowMo = this.effects.slowMo > 0 ? this.types.slowMo : null;
+        pipeManager.speedEffect = slowMo ? slowMo.speedScale : 1;
+
+        // Rescale the bird's speed with gravity, so the arc it is on keeps its height
+        const gravityEffect = slowMo ? slowMo.gravityScale : 1;
+        bird.velocity *= Math.sqrt(gravityEffect / bird.gravityEffect);
+        bird.gravityEffect = gravityEffect;
+
+        const shrink = this.effects.shrink > 0 ? this.types.shrink : null;
+        bird.setScale(shrink ? shrink.scale : 1);
+    }
+
+    // Let a shield take a hit: true if the bird flies on (the shield breaks, and the
+    // bird passes through for a moment so it can get clear of what it hit)
+    absorbHit() {
+        if (this.shieldGrace > 0) {
+            return true;
+        }
+        if (this.effects.shield > 0) {
+            delete this.effects.shield;
+            this.shieldGrace = this.types.shield.grace;
+            return true;
+        }
+        return false;
+    }
+
+    // Check if a power-up's effect is on
+    isActive(type) {
+        return this.effects[type] > 0;
+    }
+
+    // Active effects for the HUD: [{ type, label, icon, color, timeLeft, fraction }],
+    // fraction being how much of the effect's time is left (0-1)
+    getActiveEffects() {
+        return Object.entries(this.effects).map(([type, timeLeft]) => {
+            const { label, icon, color, duration } = this.types[type];
+            return { type, label, icon, color, timeLeft, fraction: Math.min(1, timeLeft / duration) };
+        });
+    }
+
+    // Render the pickups, interpolating between simulation steps
+    render(ctx, alpha = 1) {
+        for (const item of this.items) {
+            const x = item.previousX + (item.x - item.previousX) * alpha;
+            const y = item.previousY + (item.y - item.previousY) * alpha;
+
+            if (this.types[item.type].value) {
+                this.renderCoin(ctx, item.type, x, y);
+            } else {
+                this.renderPowerUp(ctx, item.type, x, y);
+            }
+        }
+    }
+
+    // Draw a power-up: a glowing disc with its icon
+    renderPowerUp(ctx, type, x, y) {
+        const { icon, color } = this.types[type];
+
+        ctx.save();
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 8;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, this.getRadius(type), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(icon, x, y + 1);
+        ctx.restore();
+    }
+
+    // Draw a coin: a gold disc with a rim and a glint
+    renderCoin(ctx, type, x, y) {
+        const { color } = this.types[type];
+        const radius = this.getRadius(type);
+
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#B8860B';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 0.6, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.beginPath();
+        ctx.arc(x - radius * 0.35, y - radius * 0.35, radius * 0.25, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Clear pickups and effects for a new run
+    reset() {
+        this.items = [];
+        this.effects = {};
+        this.lastPipeId = -1;
+        this.shieldGrace = 0;
+    }
+}
+
+// Pickups. duration is how long an effect lasts in seconds (a shield also ends when it
+// takes a hit); magnetic pickups are pulled in by the magnet; value is what a coin pays
+// into the wallet. The rest tunes each effect
+ItemManager.TYPES = {
+    shield: {
+        label: 'Shield',
+        icon: '🛡️',
+        color: '#29B6F6',
+        duration: 10,
+        magnetic: true,
+        grace: 0.75 // Seconds the bird passes through things after the shield breaks
+    },
+    slowMo: {
+        label: 'Slow-mo',
+        icon: '⏳',
+        color: '#AB47BC',
+        duration: 5,
+        magnetic: true,
+        speedScale: 0.5, // Pipe speed multiplier
+        gravityScale: 0.5 // Gravity multiplier
+    },
+    shrink: {
+        label: 'Shrink',
+        icon: '🔽',
+        color: '#66BB6A',
+        duration: 8,
+        magnetic: true,
+        scale: 0.5 // Bird size multiplier
+    },
+    magnet: {
+        label: 'Magnet',
+        icon: '🧲',
+        color: '#EF5350',
+        duration: 8,
+        magnetic: true,
+        radius: 120, // Reach in pixels
+        pull: 240 // Pixels/second pickups in reach move towards the bird
+    },
+    coin: {
+        label: 'Coin',
+        icon: '🪙',
+        color: '#FFD700',
+        value: 1,
+        magnetic: true,
+        size: 7, // Pickup size in pixels
+        chance: 0.6, // Chance per new pipe of a string of coins leading to it
+        count: 5 // Coins in a string
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItemManager;
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Leaderboard keeps the best runs of one record category, highest score first.
+// Entries are plain data ({ initials, score, date, mode, preset, seed, duration })
+// so the list can be saved as is; a new score ties in below the runs it equals.
+class Leaderboard {
+    constructor(entries = [], size = Leaderboard.SIZE) {
+        this.size = size;
+        this.entries = entries
+            .filter(entry => entry && entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, size);
+    }
+
+    // Rank (1 = best) a score would take, or null if it doesn't make the board
+    getRank(score) {
+        if (!(score > 0)) {
+            return null;
+        }
+
+        const rank = this.entries.filter(entry => entry.score >= score).length + 1;
+        return rank <= this.size ? rank : null;
+    }
+
+    // Add a run if it makes the board; returns its rank or null
+    add(entry) {
+        const rank = this.getRank(entry.score);
+        if (rank === null) {
+            return null;
+        }
+
+        this.entries.splice(rank - 1, 0, entry);
+        this.entries.length = Math.min(this.entries.length, this.size);
+        return rank;
+    }
+
+    // The entries, best first
+    getEntries() {
+        return this.entries;
+    }
+
+    // Top score (0 for an empty board)
+    getBest() {
+        return this.entries.length > 0 ? this.entries[0].score : 0;
+    }
+
+    // Up to three letters or digits, upper case; anything else gives the anonymous mark
+    static normalizeInitials(text) {
+        const initials = String(text ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        return initials || Leaderboard.ANONYMOUS;
+    }
+}
+
+// Runs kept per board, and the initials of runs nobody signed
+Leaderboard.SIZE = 10;
+Leaderboard.ANONYMOUS = '???';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Leaderboard;
+}
\ No newline at end of file
@@ -0,0 +1,253 @@
+// MusicPlayer plays the background music: a slow loop on the menu and a game track
+// that speeds up and gains layers as the run gets harder. Tracks are note patterns
+// (MusicPlayer.TRACKS) synthesized into the AudioManager's music bus, so they follow
+// the music volume and mute. A short look-ahead scheduler queues the notes on the
+// audio clock, which keeps the beat steady whatever the frame rate does.
+class MusicPlayer {
+    constructor(audio, tracks = MusicPlayer.TRACKS) {
+        this.audio = audio;
+        this.tracks = tracks;
+        this.context = audio.context;
+        this.intensity = 0; // 0-1: raises the tempo and brings in layers
+        this.track = null; // Name of the track playing (or fading in)
+        this.voices = []; // Tracks sounding now, each { track, gain, step, nextTime, endTime }
+        this.paused = false;
+        this.timer = null;
+
+        if (this.context) {
+            this.output = this.context.createGain();
+            this.output.connect(audio.getMusicOutput());
+        }
+    }
+
+    // Crossfade to a track ('menu' or 'game'); asking for the track already on just unpauses it
+    play(name) {
+        if (!this.context) return;
+        if (!this.tracks[name]) {
+            console.warn(`Unknown music track "${name}"`);
+            return;
+        }
+
+        this.resume();
+        if (name === this.track) return;
+
+        const time = this.context.currentTime;
+        this.fadeOutVoices(time, MusicPlayer.CROSSFADE);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(1, time + MusicPlayer.CROSSFADE);
+        gain.connect(this.output);
+
+        this.track = name;
+        this.voices.push({ track: this.tracks[name], gain, step: 0, nextTime: time + 0.05, endTime: Infinity });
+        this.startTimer();
+    }
+
+    // Cut the music with a short falling sting (the run is over)
+    stop() {
+        if (!this.context || !this.track) return;
+
+        this.resume();
+        const time = this.context.currentTime;
+        this.fadeOutVoices(time, 0.3);
+        this.track = null;
+
+        MusicPlayer.STING.forEach((note, index) => {
+            const frequency = MusicPlayer.frequency(note);
+            this.audio.playTone('triangle', frequency, frequency, time + index * 0.12, 0.35, 0.2, this.output);
+        });
+    }
+
+    // Hold the music (with the game); resume() carries on from the same beat
+    pause() {
+        if (!this.context || this.paused) return;
+
+        this.paused = true;
+        this.stopTimer();
+        this.output.gain.setTargetAtTime(0, this.context.currentTime, 0.05);
+    }
+
+    // Carry on after pause()
+    resume() {
+        if (!this.context || !this.paused) return;
+
+        this.paused = false;
+        const time = this.context.currentTime;
+        this.output.gain.setTargetAtTime(1, time, 0.05);
+        for (const voice of this.voices) {
+            voice.nextTime = Math.max(voice.nextTime, time + 0.05);
+        }
+        this.startTimer();
+    }
+
+    // Follow the run's difficulty (0-1)
+    setIntensity(intensity) {
+        this.intensity = Math.min(1, Math.max(0, intensity));
+    }
+
+    // Fade every sounding voice out; they are dropped once silent
+    fadeOutVoices(time, duration) {
+        for (const voice of this.voices) {
+            if (voice.endTime !== Infinity) continue;
+
+            voice.gain.gain.cancelScheduledValues(time);
+            voice.gain.gain.setValueAtTime(Math.max(voice.gain.gain.value, 0.0001), time);
+            voice.gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+            voice.endTime = time + duration;
+        }
+    }
+
+    // Run the scheduler while any voice is sounding
+    startTimer() {
+        if (this.timer === null && !this.paused && this.voices.length > 0) {
+            this.timer = setInterval(() => this.schedule(), MusicPlayer.SCHEDULE_INTERVAL);
+            this.schedule();
+        }
+    }
+
+    // Stop the scheduler
+    stopTimer() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Queue the notes falling within the look-ahead window and drop faded voices
+    schedule() {
+        const now = this.context.currentTime;
+        const horizon = now + MusicPlayer.LOOKAHEAD;
+
+        for (const voice of this.voices) {
+            while (voice.nextTime < Math.min(horizon, voice.endTime)) {
+                this.playStep(voice, voice.nextTime);
+                voice.nextTime += this.getStepDuration(voice.track);
+                voice.step++;
+            }
+        }
+
+        this.voices = this.voices.filter(voice => {
+            if (voice.endTime > now) {
+                return true;
+            }
+            voice.gain.disconnect();
+            return false;
+        });
+        if (this.voices.length === 0) {
+            this.stopTimer();
+        }
+    }
+
+    // Length of a sixteenth note in seconds at the current intensity
+    getStepDuration(track) {
+        const tempo = track.tempo + ((track.maxTempo ?? track.tempo) - track.tempo) * this.intensity;
+        return 60 / tempo / 4;
+    }
+
+    // Play every layer that has a note on this sixteenth
+    playStep(voice, time) {
+        const track = voice.track;
+        const chord = track.chords[Math.floor(voice.step / 16) % track.chords.length];
+        const position = voice.step % 16;
+        const stepDuration = this.getStepDuration(track);
+
+        for (const layer of track.layers) {
+            if (this.intensity < (layer.intensity ?? 0)) continue;
+
+            const index = layer.steps.indexOf(position);
+            if (index === -1) continue;
+
+            const tones = [].concat(layer.notes ? layer.notes[index % layer.notes.length] : 0);
+            const octave = 12 * (layer.octave ?? 0);
+            for (const tone of tones) {
+                this.playInstrument(layer.instrument, MusicPlayer.chordTone(chord, tone) + octave,
+                    time, stepDuration, voice.gain);
+            }
+        }
+    }
+
+    // Synthesize one note (MIDI number) of an instrument
+    playInstrument(instrument, note, time, stepDuration, output) {
+        const audio = this.audio;
+        const frequency = MusicPlayer.frequency(note);
+
+        switch (instrument) {
+            case 'pad':
+                audio.playTone('triangle', frequency, frequency, time, stepDuration * 16, 0.08, output);
+                break;
+            case 'bell':
+                audio.playTone('sine', frequency, frequency, time, 0.8, 0.12, output);
+                break;
+            case 'bass':
+                audio.playTone('sawtooth', frequency, frequency, time, stepDuration * 2, 0.07, output);
+                break;
+            case 'arp':
+                audio.playTone('square', frequency, frequency, time, stepDuration, 0.04, output);
+                break;
+            case 'kick':
+                audio.playTone('sine', 150, 45, time, 0.18, 0.5, output);
+                break;
+            case 'snare':
+                audio.playNoise(time, 0.12, 0.25, 2000, 1500, output);
+                break;
+            case 'hat':
+                audio.playNoise(time, 0.04, 0.08, 8000, 9000, output);
+                break;
+        }
+    }
+
+    // Note of a chord by tone index: 0-2 are the chord, 3-5 the chord an octave up, and so on
+    static chordTone(chord, index) {
+        return chord[index % chord.length] + 12 * Math.floor(index / chord.length);
+    }
+
+    // Frequency of a MIDI note (69 is A4, 440 Hz)
+    static frequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+}
+
+// Seconds a crossfade between tracks takes
+MusicPlayer.CROSSFADE = 1;
+
+// How far ahead (seconds) notes are queued, and how often (milliseconds) the queue is topped up
+MusicPlayer.LOOKAHEAD = 0.1;
+MusicPlayer.SCHEDULE_INTERVAL = 25;
+
+// Falling notes played when the music stops at game over
+MusicPlayer.STING = [76, 72, 69, 64];
+
+// Built-in tracks. tempo (and maxTempo at full intensity) in beats per minute; chords:
+// MIDI notes, one chord per bar of 16 sixteenths; layers: an instrument playing on the
+// listed steps of every bar. notes are chord tone indices per step (see chordTone; an
+// array plays several at once), octave shifts them, and a layer with an intensity only
+// joins once the music's intensity reaches it
+MusicPlayer.TRACKS = {
+    menu: {
+        tempo: 84,
+        chords: [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]], // Am F C G
+        layers: [
+            { instrument: 'pad', steps: [0], notes: [[0, 1, 2]] },
+            { instrument: 'bell', steps: [0, 6, 10, 12], notes: [3, 4, 5, 4] }
+        ]
+    },
+    game: {
+        tempo: 116,
+        maxTempo: 148,
+        chords: [[48, 52, 55], [55, 59, 62], [57, 60, 64], [53, 57, 60]], // C G Am F
+        layers: [
+            { instrument: 'kick', steps: [0, 4, 8, 12] },
+            { instrument: 'bass', steps: [0, 3, 6, 8, 11, 14], notes: [0, 0, 2, 0, 0, 1], octave: -1 },
+            { instrument: 'hat', steps: [2, 6, 10, 14] },
+            { instrument: 'snare', steps: [4, 12], intensity: 0.25 },
+            { instrument: 'arp', steps: [0, 2, 4, 6, 8, 10, 12, 14], notes: [3, 4, 5, 4, 3, 4, 5, 6], intensity: 0.5 },
+            { instrument: 'hat', steps: [1, 3, 5, 7, 9, 11, 13, 15], intensity: 0.75 }
+        ]
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MusicPlayer;
+}
\ No newline at end of file
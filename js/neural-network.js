@@ -0,0 +1,105 @@
+// NeuralNetwork is a small fully connected feed-forward network for bot controllers.
+// Hidden layers use tanh, the output layer a sigmoid; weights evolve by mutation
+// and crossover rather than backpropagation.
+class NeuralNetwork {
+    // layers: neuron count per layer, e.g. [5, 8, 1]
+    constructor(layers, random = { next: Math.random }) {
+        this.layers = [...layers];
+
+        // weights[l][j] holds the incoming weights of neuron j in layer l + 1,
+        // with its bias as the last entry
+        this.weights = [];
+        for (let l = 0; l < layers.length - 1; l++) {
+            const layer = [];
+            for (let j = 0; j < layers[l + 1]; j++) {
+                const neuron = [];
+                for (let i = 0; i <= layers[l]; i++) {
+                    neuron.push(random.next() * 2 - 1);
+                }
+                layer.push(neuron);
+            }
+            this.weights.push(layer);
+        }
+    }
+
+    // Feed inputs through the network and return the output activations
+    predict(inputs) {
+        let activations = inputs;
+
+        for (let l = 0; l < this.weights.length; l++) {
+            const isOutput = l === this.weights.length - 1;
+            const next = [];
+
+            for (const neuron of this.weights[l]) {
+                let sum = neuron[neuron.length - 1]; // bias
+                for (let i = 0; i < activations.length; i++) {
+                    sum += neuron[i] * activations[i];
+                }
+                next.push(isOutput ? 1 / (1 + Math.exp(-sum)) : Math.tanh(sum));
+            }
+
+            activations = next;
+        }
+
+        return activations;
+    }
+
+    // Deep copy
+    clone() {
+        return NeuralNetwork.fromJSON(this.toJSON());
+    }
+
+    // Nudge each weight with probability rate by up to ±amount
+    mutate(rate, amount, random = { next: Math.random }) {
+        for (const layer of this.weights) {
+            for (const neuron of layer) {
+                for (let i = 0; i < neuron.length; i++) {
+                    if (random.next() < rate) {
+                        neuron[i] += (random.next() * 2 - 1) * amount;
+                    }
+                }
+            }
+        }
+        return this;
+    }
+
+    // Child network taking each weight from one parent or the other
+    static crossover(a, b, random = { next: Math.random }) {
+        const child = a.clone();
+        child.weights.forEach((layer, l) => {
+            layer.forEach((neuron, j) => {
+                for (let i = 0; i < neuron.length; i++) {
+                    if (random.next() < 0.5) {
+                        neuron[i] = b.weights[l][j][i];
+                    }
+                }
+            });
+        });
+        return child;
+    }
+
+    // Plain object for JSON export
+    toJSON() {
+        return {
+            layers: this.layers,
+            weights: this.weights.map(layer => layer.map(neuron => [...neuron]))
+        };
+    }
+
+    // Rebuild a network from exported JSON (string or object)
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.layers) || !Array.isArray(data.weights)) {
+            throw new Error('Invalid network data');
+        }
+
+        const network = new NeuralNetwork(data.layers, { next: () => 0 });
+        network.weights = data.weights.map(layer => layer.map(neuron => [...neuron]));
+        return network;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeuralNetwork;
+}
\ No newline at end of file
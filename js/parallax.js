@@ -0,0 +1,156 @@
+// ParallaxBackground scrolls the scenery behind the pipes in layers: far clouds,
+// a skyline (hills or a city), bushes and the tiled ground. Each layer moves at a
+// fraction of the world speed, so nearer layers pass faster. Every layer is drawn
+// as a repeating tile, so any offset can be drawn without keeping shapes around;
+// colours and the skyline kind come from the current theme.
+class ParallaxBackground {
+    constructor(canvasWidth, canvasHeight, layers = ParallaxBackground.DEFAULT_LAYERS) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.groundHeight = 50;
+
+        // Scroll position of each layer in pixels, plus the previous step's for interpolation
+        this.layers = layers.map(layer => ({ ...layer, offset: 0, previousOffset: 0 }));
+    }
+
+    // Scroll every layer by one fixed step; speed is the world's speed in pixels/second
+    // (0 holds the scenery still)
+    update(deltaTime, speed) {
+        for (const layer of this.layers) {
+            layer.previousOffset = layer.offset;
+            layer.offset = (layer.offset + speed * layer.speedFactor * deltaTime) % ParallaxBackground.WRAP;
+            if (layer.offset < layer.previousOffset) {
+                // Wrapped: keep the interpolation on the same side
+                layer.previousOffset -= ParallaxBackground.WRAP;
+            }
+        }
+    }
+
+    // Offset of a layer, interpolated between the last two steps
+    getOffset(name, alpha = 1) {
+        const layer = this.layers.find(candidate => candidate.name === name);
+        return layer.previousOffset + (layer.offset - layer.previousOffset) * alpha;
+    }
+
+    // Draw all layers back to front in a theme's colours (see ThemeManager.THEMES)
+    render(ctx, theme, alpha = 1) {
+        const scenery = theme.scenery;
+        const groundY = this.canvasHeight - this.groundHeight;
+
+        this.renderTiled(ctx, 'clouds', 480, alpha, x => this.drawClouds(ctx, x, scenery.clouds));
+        this.renderTiled(ctx, 'skyline', 320, alpha, x => {
+            if (scenery.skyline === 'city') {
+                this.drawCity(ctx, x, groundY, scenery.skylineColor);
+            } else {
+                this.drawHills(ctx, x, groundY, scenery.skylineColor);
+            }
+        });
+        this.renderTiled(ctx, 'bushes', 160, alpha, x => this.drawBushes(ctx, x, groundY, scenery.bushes));
+
+        // Ground fill, then its scrolling stripes and edge
+        const gradient = ctx.createLinearGradient(0, groundY, 0, this.canvasHeight);
+        gradient.addColorStop(0, theme.ground.top);
+        gradient.addColorStop(1, theme.ground.bottom);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, groundY, this.canvasWidth, this.groundHeight);
+
+        this.renderTiled(ctx, 'ground', 24, alpha, x => this.drawGroundStripe(ctx, x, groundY, theme.ground.stripe));
+
+        ctx.strokeStyle = theme.ground.line;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, groundY);
+        ctx.lineTo(this.canvasWidth, groundY);
+        ctx.stroke();
+    }
+
+    // Repeat a tile across the canvas, shifted left by the layer's offset
+    renderTiled(ctx, name, tileWidth, alpha, drawTile) {
+        const shift = ((this.getOffset(name, alpha) % tileWidth) + tileWidth) % tileWidth;
+        for (let x = -shift; x < this.canvasWidth; x += tileWidth) {
+            drawTile(x);
+        }
+    }
+
+    // Three puffy clouds per 480px tile
+    drawClouds(ctx, x, color) {
+        ctx.fillStyle = color;
+        for (const [cloudX, cloudY, size] of [[40, 70, 1], [210, 40, 0.7], [350, 110, 0.9]]) {
+            ctx.beginPath();
+            ctx.arc(x + cloudX, cloudY, 16 * size, 0, Math.PI * 2);
+            ctx.arc(x + cloudX + 18 * size, cloudY - 8 * size, 20 * size, 0, Math.PI * 2);
+            ctx.arc(x + cloudX + 40 * size, cloudY, 15 * size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Rolling hills; both waves fit the 320px tile a whole number of times
+    drawHills(ctx, x, groundY, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, groundY);
+        for (let step = 0; step <= 320; step += 8) {
+            const height = 60 + Math.sin(step / 320 * Math.PI * 2) * 20 + Math.sin(step / 320 * Math.PI * 6 + 1) * 8;
+            ctx.lineTo(x + step, groundY - height);
+        }
+        ctx.lineTo(x + 320, groundY);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // City skyline: a row of buildings [width, height] filling the 320px tile
+    drawCity(ctx, x, groundY, color) {
+        ctx.fillStyle = color;
+        let buildingX = x;
+        for (const [width, height] of ParallaxBackground.CITY_BUILDINGS) {
+            ctx.fillRect(buildingX, groundY - height, width + 1, height); // +1 closes seams
+            buildingX += width;
+        }
+    }
+
+    // Clumps of bushes along the ground
+    drawBushes(ctx, x, groundY, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        for (const [bushX, radius] of [[10, 16], [32, 12], [70, 18], [95, 12], [128, 15]]) {
+            ctx.moveTo(x + bushX + radius, groundY);
+            ctx.arc(x + bushX, groundY, radius, 0, Math.PI * 2);
+        }
+        ctx.fill();
+    }
+
+    // One slanted stripe of the ground's top band
+    drawGroundStripe(ctx, x, groundY, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, groundY + 12);
+        ctx.lineTo(x + 12, groundY);
+        ctx.lineTo(x + 24, groundY);
+        ctx.lineTo(x + 12, groundY + 12);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Layers back to front; speedFactor is the fraction of the world speed they scroll at
+// (the ground matches the pipes exactly)
+ParallaxBackground.DEFAULT_LAYERS = [
+    { name: 'clouds', speedFactor: 0.1 },
+    { name: 'skyline', speedFactor: 0.25 },
+    { name: 'bushes', speedFactor: 0.5 },
+    { name: 'ground', speedFactor: 1 }
+];
+
+// Offsets wrap at a common multiple of every tile width, so tiles never jump
+ParallaxBackground.WRAP = 960;
+
+// Buildings of the city skyline tile, [width, height]; the widths add up to 320
+ParallaxBackground.CITY_BUILDINGS = [
+    [30, 60], [20, 90], [40, 50], [25, 110], [35, 70],
+    [30, 95], [45, 55], [20, 80], [40, 65], [35, 100]
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParallaxBackground;
+}
\ No newline at end of file
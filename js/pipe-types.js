@@ -0,0 +1,269 @@
+// PipeType gives a pipe pair its behaviour: how it changes as it scrolls, which parts
+// of it are solid and how it is drawn. PipeManager picks a type for each new pipe by
+// weight (the weights follow the difficulty curve, see DifficultyCurve), and one
+// instance of each type serves all its pipes, keeping per-pipe state on the pipe.
+// Anything random is drawn when the pipe spawns, from the course's random source, so
+// a seed always brings the same pipes. The base class is the classic static pipe;
+// each type overrides only the hooks it changes.
+class PipeType {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+    }
+
+    // Set a new pipe up; its gap (gapY, gapSize) and width are already placed
+    init(pipe, manager, random) {}
+
+    // Advance a pipe by one fixed step (deltaTime in seconds), after it has scrolled
+    update(pipe, deltaTime, manager) {}
+
+    // Where a pipe's gap will be some seconds from now: { gapY, gapSize } (bots look
+    // ahead with this); a static gap stays where it is
+    getGapAt(pipe, seconds) {
+        return { gapY: pipe.gapY, gapSize: pipe.gapSize };
+    }
+
+    // Solid parts as drawn: the top body and cap, then the bottom cap and body
+    getRects(pipe, manager) {
+        return this.getPairRects(manager, pipe.x, pipe.x, pipe.width, pipe.gapY, pipe.gapSize);
+    }
+
+    // Draw a pipe, interpolating its position and gap between simulation steps
+    render(ctx, pipe, alpha, manager) {
+        const view = this.interpolate(pipe, alpha);
+        this.drawPair(ctx, manager, view.x, view.x, pipe.width, view.gapY, view.gapSize);
+    }
+
+    // Where a pipe is drawn between its last two steps: { x, gapY, gapSize }
+    interpolate(pipe, alpha) {
+        return {
+            x: pipe.previousX + (pipe.x - pipe.previousX) * alpha,
+            gapY: pipe.previousGapY + (pipe.gapY - pipe.previousGapY) * alpha,
+            gapSize: pipe.previousGapSize + (pipe.gapSize - pipe.previousGapSize) * alpha
+        };
+    }
+
+    // Rects of a top and a bottom pipe around a gap, each half at its own x
+    getPairRects(manager, topX, bottomX, width, gapY, gapSize) {
+        const capWidth = width + manager.capOverhang * 2;
+        const capHeight = manager.capHeight;
+        const bottomY = gapY + gapSize;
+        const groundY = manager.canvasHeight - 50; // 50px for ground
+
+        return [
+            { x: topX, y: 0, width, height: gapY - capHeight },
+            { x: topX - manager.capOverhang, y: gapY - capHeight, width: capWidth, height: capHeight },
+            { x: bottomX - manager.capOverhang, y: bottomY, width: capWidth, height: capHeight },
+            { x: bottomX, y: bottomY + capHeight, width, height: groundY - bottomY - capHeight }
+        ];
+    }
+
+    // Draw a top and a bottom pipe around a gap, each half at its own x
+    drawPair(ctx, manager, topX, bottomX, width, gapY, gapSize) {
+        manager.drawPipeSegment(ctx, topX, 0, width, gapY, true);
+
+        const bottomY = gapY + gapSize;
+        const bottomHeight = manager.canvasHeight - bottomY - 50; // 50px for ground
+        manager.drawPipeSegment(ctx, bottomX, bottomY, width, bottomHeight, false);
+    }
+
+    // Make a new pipe's gap taller by a factor around its centre, keeping it inside
+    // the range gaps are placed in (see PipeManager.getGapRange)
+    growGap(pipe, manager, scale) {
+        const gapSize = pipe.gapSize * scale;
+        const { min, max } = manager.getGapRange(gapSize);
+        pipe.gapY = Math.min(max, Math.max(min, pipe.gapY - (gapSize - pipe.gapSize) / 2));
+        pipe.gapSize = gapSize;
+    }
+
+    // Draw a small arrow on a pipe's cap, pointing up (-1) or down (1), to show how it moves
+    drawCapArrow(ctx, manager, x, width, capY, direction) {
+        const centerX = x + width / 2;
+        const centerY = capY + manager.capHeight / 2;
+        const size = 5;
+
+        ctx.save();
+        ctx.fillStyle = manager.pipeBorderColor;
+        ctx.beginPath();
+        ctx.moveTo(centerX - size, centerY - direction * size / 2);
+        ctx.lineTo(centerX + size, centerY - direction * size / 2);
+        ctx.lineTo(centerX, centerY + direction * size / 2);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Create a pipe type by name (see PipeType.TYPES); unknown names give a static pipe
+    static create(name) {
+        const Type = PipeType.TYPES[name];
+        if (!Type) {
+            console.warn(`Unknown pipe type "${name}"`);
+            return new StaticPipe();
+        }
+        return new Type();
+    }
+}
+
+// The classic pipe: a fixed gap
+class StaticPipe extends PipeType {
+    constructor() {
+        super('static', 'Static');
+    }
+}
+
+// The gap drifts up and down as the pipe scrolls
+class MovingPipe extends PipeType {
+    constructor() {
+        super('moving', 'Moving');
+        this.amplitude = 30; // pixels the gap moves either way
+        this.frequency = 0.2; // up-and-down cycles per second
+
+        // A slightly taller gap, as it moves while the bird is in it. During a flap's rise
+        // (0.27 s on Normal) it moves up to 2 × 30 × sin(π × 0.2 × 0.27) = 10 pixels, which
+        // leaves 100 × 0.95 × 1.1 - 10 = 94.5 pixels late in a run: enough for a flap
+        // (see ClosingPipe)
+        this.gapScale = 1.1;
+    }
+
+    init(pipe, manager, random) {
+        this.growGap(pipe, manager, this.gapScale);
+
+        // Keep the whole swing inside the range gaps are placed in
+        const { min, max } = manager.getGapRange(pipe.gapSize);
+        pipe.amplitude = Math.max(0, Math.min(this.amplitude, (max - min) / 2));
+        pipe.centerGapY = Math.min(max - pipe.amplitude, Math.max(min + pipe.amplitude, pipe.gapY));
+        pipe.phase = random.next() * Math.PI * 2;
+        pipe.age = 0; // seconds since the pipe spawned
+        this.place(pipe);
+    }
+
+    update(pipe, deltaTime) {
+        pipe.age += deltaTime;
+        this.place(pipe);
+    }
+
+    // Put the gap where it is at the pipe's age
+    place(pipe) {
+        pipe.gapY = this.getGapAt(pipe, 0).gapY;
+    }
+
+    getGapAt(pipe, seconds) {
+        const angle = pipe.phase + (pipe.age + seconds) * this.frequency * Math.PI * 2;
+        return { gapY: pipe.centerGapY + Math.sin(angle) * pipe.amplitude, gapSize: pipe.gapSize };
+    }
+
+    // Arrows on the caps point both ways
+    render(ctx, pipe, alpha, manager) {
+        super.render(ctx, pipe, alpha, manager);
+
+        const view = this.interpolate(pipe, alpha);
+        this.drawCapArrow(ctx, manager, view.x, pipe.width, view.gapY - manager.capHeight, -1);
+        this.drawCapArrow(ctx, manager, view.x, pipe.width, view.gapY + view.gapSize, 1);
+    }
+}
+
+// The gap narrows and widens again around its middle
+class ClosingPipe extends PipeType {
+    constructor() {
+        super('closing', 'Closing');
+        // The gap opens a little wider than a static one and narrows to closedScale of
+        // that. At its narrowest it still fits the bird, a full flap and a step's fall (so
+        // a flap on some step lands in it): on Normal late in a run it is
+        // 100 × 0.95 × 1.1 × 0.9 = 94 pixels, over the 20 + 64 + 8 = 92 needed (the other
+        // presets leave more room)
+        this.openScale = 1.1;
+        this.closedScale = 0.9; // fraction of the open gap left when it is narrowest
+        this.frequency = 0.3; // close-and-open cycles per second
+    }
+
+    init(pipe, manager, random) {
+        this.growGap(pipe, manager, this.openScale);
+        pipe.openGapSize = pipe.gapSize;
+        pipe.gapCenter = pipe.gapY + pipe.gapSize / 2;
+        pipe.phase = random.next() * Math.PI * 2;
+        pipe.age = 0; // seconds since the pipe spawned
+        this.place(pipe);
+    }
+
+    update(pipe, deltaTime) {
+        pipe.age += deltaTime;
+        this.place(pipe);
+    }
+
+    // Size the gap for the pipe's age
+    place(pipe) {
+        const gap = this.getGapAt(pipe, 0);
+        pipe.gapY = gap.gapY;
+        pipe.gapSize = gap.gapSize;
+    }
+
+    // The gap goes from fully open to closedScale of that and back
+    getGapAt(pipe, seconds) {
+        const closed = (1 - Math.cos(pipe.phase + (pipe.age + seconds) * this.frequency * Math.PI * 2)) / 2;
+        const gapSize = pipe.openGapSize * (1 - (1 - this.closedScale) * closed);
+        return { gapY: pipe.gapCenter - gapSize / 2, gapSize };
+    }
+
+    // Arrows on the caps point into the gap
+    render(ctx, pipe, alpha, manager) {
+        super.render(ctx, pipe, alpha, manager);
+
+        const view = this.interpolate(pipe, alpha);
+        this.drawCapArrow(ctx, manager, view.x, pipe.width, view.gapY - manager.capHeight, 1);
+        this.drawCapArrow(ctx, manager, view.x, pipe.width, view.gapY + view.gapSize, -1);
+    }
+}
+
+// The top and bottom halves are offset, so the way through is a slanted passage
+class StaggeredPipe extends PipeType {
+    constructor() {
+        super('staggered', 'Staggered');
+        this.offset = 36; // pixels one half sits behind the other
+    }
+
+    init(pipe, manager, random) {
+        const topFirst = random.next() < 0.5;
+        pipe.topOffset = topFirst ? 0 : this.offset;
+        pipe.bottomOffset = topFirst ? this.offset : 0;
+        pipe.width = manager.pipeWidth + this.offset;
+    }
+
+    getRects(pipe, manager) {
+        return this.getPairRects(manager, pipe.x + pipe.topOffset, pipe.x + pipe.bottomOffset,
+            manager.pipeWidth, pipe.gapY, pipe.gapSize);
+    }
+
+    render(ctx, pipe, alpha, manager) {
+        const view = this.interpolate(pipe, alpha);
+        this.drawPair(ctx, manager, view.x + pipe.topOffset, view.x + pipe.bottomOffset,
+            manager.pipeWidth, view.gapY, view.gapSize);
+    }
+}
+
+// Twice as wide, with a slightly taller gap as the bird is in it twice as long
+class WidePipe extends PipeType {
+    constructor() {
+        super('wide', 'Wide');
+        this.widthScale = 2;
+        this.gapScale = 1.1;
+    }
+
+    init(pipe, manager) {
+        pipe.width = manager.pipeWidth * this.widthScale;
+        this.growGap(pipe, manager, this.gapScale);
+    }
+}
+
+// Pipe types PipeManager picks from, by name (weights are keyed by these names)
+PipeType.TYPES = {
+    static: StaticPipe,
+    moving: MovingPipe,
+    closing: ClosingPipe,
+    staggered: StaggeredPipe,
+    wide: WidePipe
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipeType;
+}
\ No newline at end of file
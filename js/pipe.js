@@ -1,16 +1,41 @@
-// Pipe class handles pipe generation, movement, and collision detection
+// Pipe class handles pipe generation, movement, and collision detection. Each pipe
+// has a type (see PipeType) that moves its gap, shapes it and draws it
 class PipeManager {
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, random = null) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.pipes = [];
+        this.nextPipeId = 0;
+
+        // Source of randomness; any object with next() returning [0, 1)
+        this.random = random || { next: Math.random };
 
         // Pipe configuration
         this.pipeWidth = 40;
         this.gapSize = 100;
-        this.pipeSpeed = 2;
+        this.pipeSpeed = 120; // pixels/second
         this.pipeSpacing = 200; // Distance between pipe centers
         this.minGapHeight = 120; // Minimum distance from edges
+        this.capHeight = 25; // The wider end piece of each pipe
+        this.capOverhang = 4; // How far a cap sticks out on each side
+        this.collisionTolerance = 0; // Pixels of overlap forgiven on every pipe edge
+
+        // Difficulty multipliers on the settings above (see DifficultyCurve);
+        // gap and spacing are fixed per pipe when it spawns, speed applies to all pipes
+        this.speedScale = 1;
+        this.gapScale = 1;
+        this.spacingScale = 1;
+        this.spacingJitter = 0; // Each pipe's spacing varies by up to ± this fraction
+        this.speedEffect = 1; // Speed multiplier from power-ups (see ItemManager)
+
+        // One instance of each pipe type, and how often each is picked for a new pipe
+        // (type -> weight, from the difficulty curve); with no weight on any type but
+        // static, every pipe is static and picking one draws nothing from the random source
+        this.types = {};
+        for (const name of Object.keys(PipeType.TYPES)) {
+            this.types[name] = PipeType.create(name);
+        }
+        this.typeWeights = {};
 
         // Visual properties
         this.pipeColor = '#228B22'; // Forest green
@@ -24,59 +49,118 @@ class PipeManager {
     // Generate a new pair of pipes
     generatePipe() {
         // Random gap position with some constraints
-        const minHeight = this.minGapHeight;
-        const maxHeight = this.canvasHeight - this.minGapHeight - this.gapSize - 50; // 50px for ground
-        const gapY = minHeight + Math.random() * (maxHeight - minHeight);
+        const gapSize = this.gapSize * this.gapScale;
+        const { min, max } = this.getGapRange(gapSize);
+        const gapY = min + this.random.next() * (max - min);
 
+        // Distance to the next pipe, varied by the difficulty's jitter
+        const jitter = (this.random.next() * 2 - 1) * this.spacingJitter;
+        const spacing = this.pipeSpacing * this.spacingScale * (1 + jitter);
+
+        const type = this.pickType();
         const pipe = {
+            type: type.name,
             x: this.canvasWidth,
+            previousX: this.canvasWidth,
+            width: this.pipeWidth, // Across both halves (some types are wider)
             gapY: gapY,
+            gapSize: gapSize,
+            spacing: spacing,
             scored: false,
-            id: Date.now() + Math.random() // Unique identifier
+            id: this.nextPipeId++ // Unique identifier, stable across replays
         };
+        type.init(pipe, this, this.random);
+        pipe.spacing += pipe.width - this.pipeWidth; // Wider types leave as much room after them
+        pipe.previousGapY = pipe.gapY;
+        pipe.previousGapSize = pipe.gapSize;
 
         this.pipes.push(pipe);
         return pipe;
     }
 
-    // Update all pipes (movement and cleanup)
-    update() {
+    // Range the top of a gap of a given size is placed in, clear of the edges and the ground
+    getGapRange(gapSize) {
+        return {
+            min: this.minGapHeight,
+            max: this.canvasHeight - this.minGapHeight - gapSize - 50 // 50px for ground
+        };
+    }
+
+    // Pick the type of a new pipe by weight (see typeWeights)
+    pickType() {
+        const weighted = Object.entries(this.typeWeights).filter(([name, weight]) => this.types[name] && weight > 0);
+        if (!weighted.some(([name]) => name !== 'static')) {
+            return this.types.static;
+        }
+
+        const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.random.next() * total;
+        for (const [name, weight] of weighted) {
+            if (roll < weight) {
+                return this.types[name];
+            }
+            roll -= weight;
+        }
+        return this.types[weighted[weighted.length - 1][0]];
+    }
+
+    // Get the type of a pipe
+    getType(pipe) {
+        return this.types[pipe.type] || this.types.static;
+    }
+
+    // Update all pipes (movement and cleanup), deltaTime in seconds
+    update(deltaTime) {
         // Move pipes to the left
         for (let i = this.pipes.length - 1; i >= 0; i--) {
             const pipe = this.pipes[i];
-            pipe.x -= this.pipeSpeed;
+            pipe.previousX = pipe.x;
+            pipe.previousGapY = pipe.gapY;
+            pipe.previousGapSize = pipe.gapSize;
+            pipe.x -= this.getSpeed() * deltaTime;
+            this.getType(pipe).update(pipe, deltaTime, this);
 
             // Remove pipes that have moved completely off-screen
-            if (pipe.x + this.pipeWidth < 0) {
+            if (pipe.x + pipe.width < 0) {
                 this.pipes.splice(i, 1);
                 this.scoredPipes.delete(pipe.id); // Clean up scored pipes tracking
             }
         }
 
         // Generate new pipes if needed
-        if (this.pipes.length === 0 || this.pipes[this.pipes.length - 1].x < this.canvasWidth - this.pipeSpacing) {
+        const lastPipe = this.pipes[this.pipes.length - 1];
+        if (!lastPipe || lastPipe.x < this.canvasWidth - lastPipe.spacing) {
             this.generatePipe();
         }
     }
 
-    // Render all pipes on the canvas
-    render(ctx) {
-        for (const pipe of this.pipes) {
-            this.renderPipe(ctx, pipe);
-        }
+    // Current scroll speed in pixels/second
+    getSpeed() {
+        return this.pipeSpeed * this.speedScale * this.speedEffect;
     }
 
-    // Render a single pipe pair
-    renderPipe(ctx, pipe) {
-        const { x, gapY } = pipe;
+    // Apply difficulty multipliers ({ speedScale, gapScale, spacingScale, spacingJitter })
+    // and pipe type weights (pipeTypes); curves without weights, like those saved with
+    // older replays, give only static pipes
+    setDifficulty(settings) {
+        for (const key of ['speedScale', 'gapScale', 'spacingScale', 'spacingJitter']) {
+            if (typeof settings[key] === 'number') {
+                this[key] = settings[key];
+            }
+        }
+        this.typeWeights = { ...settings.pipeTypes };
+    }
 
-        // Draw top pipe
-        this.drawPipeSegment(ctx, x, 0, this.pipeWidth, gapY, true);
+    // Render all pipes on the canvas, interpolating between simulation steps
+    render(ctx, alpha = 1) {
+        for (const pipe of this.pipes) {
+            this.renderPipe(ctx, pipe, alpha);
+        }
+    }
 
-        // Draw bottom pipe
-        const bottomY = gapY + this.gapSize;
-        const bottomHeight = this.canvasHeight - bottomY - 50; // 50px for ground
-        this.drawPipeSegment(ctx, x, bottomY, this.pipeWidth, bottomHeight, false);
+    // Render a single pipe pair, as its type draws it
+    renderPipe(ctx, pipe, alpha = 1) {
+        this.getType(pipe).render(ctx, pipe, alpha, this);
     }
 
     // Draw a single pipe segment with styling
@@ -95,9 +179,9 @@ class PipeManager {
         ctx.fillRect(x + 2, y + 2, width - 4, Math.min(10, height - 4));
 
         // Pipe cap (the wider part at the end)
-        const capHeight = 25;
-        const capWidth = width + 8;
-        const capX = x - 4;
+        const capHeight = this.capHeight;
+        const capWidth = width + this.capOverhang * 2;
+        const capX = x - this.capOverhang;
 
         if (isTop) {
             // Top pipe cap
@@ -126,32 +210,45 @@ class PipeManager {
         }
     }
 
-    // Check collision between bird and all pipes
+    // Check collision between bird and all pipes; returns the pipe hit ('top' or 'bottom'), or null
     checkCollision(bird) {
-        const birdBounds = bird.getBounds();
+        const shape = bird.getCollisionShape();
 
         for (const pipe of this.pipes) {
-            if (this.checkPipeCollision(birdBounds, pipe)) {
-                return true;
+            const hit = this.checkPipeCollision(shape, pipe);
+            if (hit) {
+                return hit;
             }
         }
 
-        return false;
+        return null;
     }
 
-    // Check collision between bird and a specific pipe
-    checkPipeCollision(birdBounds, pipe) {
-        const { x, gapY } = pipe;
+    // Check collision between the bird's shape (see Bird.getCollisionShape) and a specific pipe;
+    // returns 'top' or 'bottom' for the pipe of the pair that was hit, or null
+    checkPipeCollision(shape, pipe) {
+        // Skip pipes that are nowhere near the bird
+        const reach = shape.circle.radius * 2;
+        if (pipe.x - this.capOverhang > shape.circle.x + reach ||
+            pipe.x + pipe.width + this.capOverhang < shape.circle.x - reach) {
+            return null;
+        }
 
-        // Check if bird is within pipe's horizontal range
-        if (birdBounds.x + birdBounds.width > x && birdBounds.x < x + this.pipeWidth) {
-            // Check if bird hits top pipe or bottom pipe
-            if (birdBounds.y < gapY || birdBounds.y + birdBounds.height > gapY + this.gapSize) {
-                return true;
+        const rects = this.getPipeRects(pipe);
+        for (let i = 0; i < rects.length; i++) {
+            const solid = Collision.insetRect(rects[i], this.collisionTolerance);
+            if (Collision.circleIntersectsRect(shape.circle, solid) ||
+                Collision.polygonIntersectsRect(shape.beak, solid)) {
+                return i < 2 ? 'top' : 'bottom';
             }
         }
 
-        return false;
+        return null;
+    }
+
+    // Solid parts of a pipe pair as drawn: the top body and cap, then the bottom cap and body
+    getPipeRects(pipe) {
+        return this.getType(pipe).getRects(pipe, this);
     }
 
     // Check if bird passed through a pipe (for scoring)
@@ -161,7 +258,7 @@ class PipeManager {
 
         for (const pipe of this.pipes) {
             // Check if bird passed the pipe and hasn't scored it yet
-            if (birdX > pipe.x + this.pipeWidth && !this.scoredPipes.has(pipe.id)) {
+            if (birdX > pipe.x + pipe.width && !this.scoredPipes.has(pipe.id)) {
                 this.scoredPipes.add(pipe.id);
                 scored = true;
                 break; // Only score one pipe per frame
@@ -185,12 +282,18 @@ class PipeManager {
     reset() {
         this.pipes = [];
         this.scoredPipes.clear();
+        this.nextPipeId = 0;
+    }
+
+    // Swap the random source used for gap positions
+    setRandom(random) {
+        this.random = random;
     }
 
     // Get pipe ahead of bird (for AI purposes)
     getNextPipe(birdX) {
         for (const pipe of this.pipes) {
-            if (pipe.x + this.pipeWidth > birdX) {
+            if (pipe.x + pipe.width > birdX) {
                 return pipe;
             }
         }
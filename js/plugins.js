@@ -0,0 +1,216 @@
+// PluginManager lets code outside the core files add to the game through game.use(plugin).
+// A plugin is an object with a name and any of these hooks, all optional:
+//   init(api)                      once the game's systems exist (see createApi)
+//   update(deltaTime, state)       after every fixed simulation step, with the state name
+//   renderBeforeWorld(ctx, alpha)  over the sky and scenery, under the pipes and bird
+//   renderAfterWorld(ctx, alpha)   over the world and HUD
+//   enterState(state, previous)    after the game changes state
+//   exitState(state, next)         as the game leaves a state
+// Through the api passed to init, plugins add obstacles to runs, HUD widgets and
+// settings. Hooks are called on the plugin, and one that throws is logged without
+// stopping the game. Plugin scripts can also be listed in the page URL (see loadScripts).
+class PluginManager {
+    constructor(game) {
+        this.game = game;
+        this.plugins = []; // In the order they were added
+        this.settings = new Map(); // 'plugin.key' -> { plugin, setting } (see registerSetting)
+        this.loadedScripts = new Set(); // URLs of the plugin scripts already loaded
+        this.ready = false; // The game's systems exist, so plugins are set up as they are added
+    }
+
+    // Add a plugin; it is set up at once if the game is ready, otherwise when it is
+    use(plugin) {
+        if (!plugin || typeof plugin !== 'object' || !PluginManager.NAME_PATTERN.test(plugin.name)) {
+            console.warn('Ignoring plugin without a valid name (letters, digits, _ and -):', plugin);
+            return false;
+        }
+        if (this.plugins.includes(plugin) || this.getPlugin(plugin.name)) {
+            console.warn(`Plugin "${plugin.name}" is already in use`);
+            return false;
+        }
+
+        this.plugins.push(plugin);
+        if (this.ready) {
+            this.setup(plugin);
+        }
+        console.log(`Plugin "${plugin.name}" added`);
+        return true;
+    }
+
+    // Set up every plugin on the game's (new) systems; called once they are created
+    start() {
+        this.ready = true;
+        this.settings.clear();
+
+        // Lifecycle hooks follow the game's event bus
+        this.game.events.on('frame', ({ state, deltaTime }) => {
+            for (const plugin of this.plugins) {
+                this.call(plugin, plugin, 'update', deltaTime, state);
+            }
+        });
+        this.game.events.on('stateChange', ({ from, to }) => {
+            for (const plugin of this.plugins) {
+                this.call(plugin, plugin, 'exitState', from, to);
+            }
+            for (const plugin of this.plugins) {
+                this.call(plugin, plugin, 'enterState', to, from);
+            }
+        });
+
+        // Settings added by plugins, picked on the settings screen
+        this.game.inputHandler.on('selectPluginSetting', (id, value) => this.setSetting(id, value));
+
+        for (const plugin of this.plugins) {
+            this.setup(plugin);
+        }
+    }
+
+    // Hook a plugin's drawing into the renderer and let it initialize
+    setup(plugin) {
+        const renderer = this.game.renderer;
+        if (typeof plugin.renderBeforeWorld === 'function') {
+            renderer.addDrawHook('beforeWorld', (ctx, alpha) => this.call(plugin, plugin, 'renderBeforeWorld', ctx, alpha));
+        }
+        if (typeof plugin.renderAfterWorld === 'function') {
+            renderer.addDrawHook('afterWorld', (ctx, alpha) => this.call(plugin, plugin, 'renderAfterWorld', ctx, alpha));
+        }
+
+        this.call(plugin, plugin, 'init', this.createApi(plugin));
+    }
+
+    // What a plugin gets to work with in init
+    createApi(plugin) {
+        return {
+            game: this.game, // The Game, with its systems (gameStateManager, settings, renderer, ...)
+            events: this.game.events, // The event bus (see GameStateManager.EVENTS and InputHandler.EVENTS)
+            registerObstacle: (obstacle) => this.registerObstacle(plugin, obstacle),
+            registerHudWidget: (widget) => this.registerHudWidget(plugin, widget),
+            registerSetting: (setting) => this.registerSetting(plugin, setting),
+            getSetting: (key) => this.getSetting(plugin, key)
+        };
+    }
+
+    // Add an obstacle to every run. Obstacles have any of reset() at the start of a run,
+    // update(deltaTime, stateManager) on every step of it, render(ctx, alpha), and
+    // checkCollision(shape) returning true while the bird's shape (see
+    // Bird.getCollisionShape) touches them. Anything random should come from
+    // stateManager.random, so replays of the run play back the same. Replays record
+    // the obstacle under the plugin's name, as they need the plugin to play back
+    registerObstacle(plugin, obstacle) {
+        this.game.gameStateManager.addObstacle({
+            name: plugin.name,
+            reset: () => this.call(plugin, obstacle, 'reset'),
+            update: (deltaTime, stateManager) => this.call(plugin, obstacle, 'update', deltaTime, stateManager),
+            render: (ctx, alpha) => this.call(plugin, obstacle, 'render', ctx, alpha),
+            checkCollision: (shape) => Boolean(this.call(plugin, obstacle, 'checkCollision', shape))
+        });
+    }
+
+    // Add a HUD widget, drawn with the score during runs: render(ctx, stateManager)
+    registerHudWidget(plugin, widget) {
+        this.game.renderer.addDrawHook('hud', (ctx) => this.call(plugin, widget, 'render', ctx, this.game.gameStateManager));
+    }
+
+    // Add a setting to the settings screen: { key, label, options: { value: label },
+    // default, onChange(value) }. The choice is saved in the player's settings
+    registerSetting(plugin, setting) {
+        const id = `${plugin.name}.${setting.key}`;
+        const values = Object.keys(setting.options || {});
+        if (!PluginManager.NAME_PATTERN.test(setting.key) || values.length === 0) {
+            console.warn(`Ignoring setting of plugin "${plugin.name}" without a valid key and options:`, setting);
+            return;
+        }
+        if (this.settings.has(id)) {
+            console.warn(`Plugin setting "${id}" is already registered`);
+            return;
+        }
+
+        this.settings.set(id, { plugin, setting: { ...setting, default: values.includes(setting.default) ? setting.default : values[0] } });
+        this.game.renderer.addPluginSetting(id, setting.label || setting.key, setting.options, this.getSetting(plugin, setting.key));
+    }
+
+    // Current value of one of a plugin's settings (its default until the player picks one)
+    getSetting(plugin, key) {
+        const entry = this.settings.get(`${plugin.name}.${key}`);
+        if (!entry) {
+            return undefined;
+        }
+
+        const value = this.game.settings.get(`plugins.${plugin.name}.${key}`);
+        return Object.prototype.hasOwnProperty.call(entry.setting.options, value) ? value : entry.setting.default;
+    }
+
+    // Save a plugin setting picked on the settings screen and tell the plugin
+    setSetting(id, value) {
+        const entry = this.settings.get(id);
+        if (!entry || !Object.prototype.hasOwnProperty.call(entry.setting.options, value)) return;
+
+        this.game.settings.set(`plugins.${id}`, value);
+        this.game.renderer.updatePluginSetting(id, value);
+        this.call(entry.plugin, entry.setting, 'onChange', value);
+    }
+
+    // Call a plugin's method (or one of its obstacles' or widgets') if it has it;
+    // returns its result, or undefined if it is missing or throws
+    call(plugin, target, method, ...args) {
+        if (typeof target[method] !== 'function') {
+            return undefined;
+        }
+
+        try {
+            return target[method](...args);
+        } catch (error) {
+            console.error(`Error in plugin "${plugin.name}" (${method}):`, error);
+            return undefined;
+        }
+    }
+
+    // Find an added plugin by name
+    getPlugin(name) {
+        return this.plugins.find(plugin => plugin.name === name) || null;
+    }
+
+    // Names of the added plugins, in order
+    getNames() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+
+    // Load plugin scripts one after another; each calls game.use when it runs. Only
+    // scripts from the game's own site are loaded, and each only once
+    async loadScripts(sources) {
+        for (const source of sources) {
+            const url = new URL(source, window.location.href);
+            if (url.origin !== window.location.origin) {
+                console.warn(`Skipping plugin script ${source}: only scripts from this site can be loaded`);
+                continue;
+            }
+            if (this.loadedScripts.has(url.href)) continue;
+
+            this.loadedScripts.add(url.href);
+            try {
+                await PluginManager.loadScript(url.href);
+            } catch (error) {
+                console.error(`Failed to load plugin script ${source}:`, error);
+            }
+        }
+    }
+
+    // Add a script tag and wait for it to run
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Plugin names and setting keys: they become parts of settings paths (plugins.<name>.<key>)
+PluginManager.NAME_PATTERN = /^[\w-]+$/;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PluginManager;
+}
\ No newline at end of file
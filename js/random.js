@@ -0,0 +1,86 @@
+// SeededRandom is a small deterministic pseudo-random generator (mulberry32).
+// Anything that needs reproducible randomness draws from an object with a
+// next() method returning a float in [0, 1); this is the default implementation.
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    // Restart the sequence from a seed (number or string)
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Get the seed the current sequence started from
+    getSeed() {
+        return this.seed;
+    }
+
+    // Next float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Next float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Next integer in [min, max]
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    // Turn a number or string into a 32-bit unsigned seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        return SeededRandom.hashString(text);
+    }
+
+    // FNV-1a hash of a string
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Fresh non-deterministic seed
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Seed shared by everyone playing on the same UTC calendar day, whatever their time zone
+    static dailySeed(date = new Date()) {
+        return SeededRandom.hashString(`daily-${SeededRandom.formatDate(date)}`);
+    }
+
+    // Format a date as YYYY-MM-DD in UTC
+    static formatDate(date) {
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `${date.getUTCFullYear()}-${month}-${day}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Renderer is the presentation adapter the GameStateManager talks to: it draws
+// frames, shows and hides the overlay screens, and plays sound cues.
+// This base class does nothing, which is exactly what headless runs need;
+// CanvasRenderer is the browser implementation.
+class Renderer {
+    constructor() {
+        this.stateManager = null;
+    }
+
+    // Called once by the GameStateManager this renderer presents
+    attach(stateManager) {
+        this.stateManager = stateManager;
+    }
+
+    // Draw a frame; alpha is how far we are between the last two simulation steps
+    render(alpha) {}
+
+    // Extra drawing (see PluginManager): draw(ctx, alpha) at a stage of every frame,
+    // 'beforeWorld' (under the pipes and bird), 'hud' (with the score) or 'afterWorld'
+    addDrawHook(stage, draw) {}
+
+    // Overlay screens
+    showStartScreen() {}
+    showSettingsScreen() {}
+    showLeaderboardScreen(title, entries) {}
+    showStatsScreen(title, stats) {}
+    showAchievementsScreen(achievements) {}
+    showShopScreen(items, balance) {}
+    showGameOverScreen(title) {}
+    showPauseScreen() {}
+    hideOverlay() {}
+    updateFinalScores(score, highScore) {}
+    updateCoins(balance, earned) {}
+    celebrateLeaderboardRank(rank, initials) {}
+    hideInitialsPrompt() {}
+    showAchievementToast(achievement) {}
+    updatePresetPicker(preset) {}
+    updateModePicker(mode) {}
+    updateSkinPicker(skin) {}
+    updateThemePicker(theme, rotateEvery) {}
+
+    // Settings added by plugins; options are { value: label }
+    addPluginSetting(id, label, options, value) {}
+    updatePluginSetting(id, value) {}
+
+    // Pause button, shown while a run is in progress
+    showPauseButton() {}
+    hidePauseButton() {}
+
+    // Replay controls; status is { paused, speed, finished }
+    showReplayControls() {}
+    hideReplayControls() {}
+    updateReplayControls(status) {}
+
+    // Training controls; status is { speed }
+    showTrainingControls() {}
+    hideTrainingControls() {}
+    updateTrainingControls(status) {}
+
+    // Sound cues: 'jump', 'score', 'coin', 'hit', 'swoosh'
+    playSound(name) {}
+
+    // Music: play a track ('menu' or 'game'), stop it with a sting, pause and resume
+    // it with the game; intensity (0-1) speeds up and thickens the game track
+    playMusic(track) {}
+    stopMusic() {}
+    pauseMusic() {}
+    resumeMusic() {}
+    setMusicIntensity(intensity) {}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderer;
+}
\ No newline at end of file
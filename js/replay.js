@@ -0,0 +1,85 @@
+// Replay is a compact log of one run: its seed, game mode, the physics it was played
+// with, the extra obstacles it had, and the simulation frames on which the bird jumped. Feeding the same jumps back
+// on the same frames reproduces the run exactly.
+class Replay {
+    constructor(data = {}) {
+        this.version = 1;
+        this.seed = data.seed ?? 0;
+        this.timeStep = data.timeStep ?? 1 / 60; // seconds per simulation frame
+        this.mode = data.mode ?? 'endless'; // GameMode name; replays from before modes are Endless
+        this.config = data.config ?? {};
+        // Names of the extra obstacles in the run (see GameStateManager.addObstacle), which
+        // must be there again to play it back; replays from before obstacles have none
+        this.obstacles = Array.isArray(data.obstacles) ? [...data.obstacles] : [];
+        this.jumps = Array.isArray(data.jumps) ? [...data.jumps] : [];
+        this.frames = data.frames ?? 0; // total frames until the run ended
+        this.score = data.score ?? 0;
+        this.recordedAt = data.recordedAt ?? new Date().toISOString();
+
+        // Playback cursor into the jump list
+        this.cursor = 0;
+    }
+
+    // Record a jump on the given frame
+    recordJump(frame) {
+        this.jumps.push(frame);
+    }
+
+    // Mark the run as finished
+    finish(frames, score) {
+        this.frames = frames;
+        this.score = score;
+    }
+
+    // Rewind playback to the first frame
+    rewind() {
+        this.cursor = 0;
+    }
+
+    // Count (and consume) the jumps recorded on a frame during playback
+    takeJumps(frame) {
+        let count = 0;
+        while (this.cursor < this.jumps.length && this.jumps[this.cursor] <= frame) {
+            if (this.jumps[this.cursor] === frame) {
+                count++;
+            }
+            this.cursor++;
+        }
+        return count;
+    }
+
+    // Playback progress between 0 and 1
+    getProgress(frame) {
+        return this.frames > 0 ? Math.min(frame / this.frames, 1) : 0;
+    }
+
+    // Plain object for JSON export
+    toJSON() {
+        return {
+            version: this.version,
+            seed: this.seed,
+            timeStep: this.timeStep,
+            mode: this.mode,
+            config: this.config,
+            obstacles: this.obstacles,
+            jumps: this.jumps,
+            frames: this.frames,
+            score: this.score,
+            recordedAt: this.recordedAt
+        };
+    }
+
+    // Rebuild a replay from exported JSON (string or object)
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.jumps)) {
+            throw new Error('Invalid replay data');
+        }
+        return new Replay(data);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Replay;
+}
\ No newline at end of file
@@ -0,0 +1,136 @@
+// RunHistory keeps the player's most recent runs, oldest first, and works out the
+// statistics shown on the stats screen. Runs are plain data ({ date, category, mode,
+// preset, score, duration, jumps, distance, cause }) so the list can be saved as is;
+// once it holds more than its limit, the oldest runs are dropped.
+class RunHistory {
+    constructor(runs = [], limit = RunHistory.LIMIT) {
+        this.limit = limit;
+        this.runs = runs.filter(run => run && typeof run.score === 'number');
+        this.prune();
+    }
+
+    // Add a run that just ended (dropping the oldest ones beyond the limit)
+    add(run) {
+        this.runs.push(run);
+        this.prune();
+    }
+
+    // Drop the oldest runs beyond the limit
+    prune() {
+        if (this.runs.length > this.limit) {
+            this.runs.splice(0, this.runs.length - this.limit);
+        }
+    }
+
+    // The runs, oldest first
+    getRuns() {
+        return this.runs;
+    }
+
+    // Statistics of the runs of one record category (every run without one):
+    // averages, best streaks (runs in a row scoring STREAK_SCORE or more, and runs in
+    // a row beating the one before), how runs ended, a score histogram and the recent trend
+    getStats(category = null) {
+        const runs = category === null ? this.runs : this.runs.filter(run => run.category === category);
+        const scores = runs.map(run => run.score);
+
+        const causes = {};
+        for (const run of runs) {
+            causes[run.cause] = (causes[run.cause] || 0) + 1;
+        }
+
+        return {
+            runs: runs.length,
+            best: scores.length > 0 ? Math.max(...scores) : 0,
+            averages: {
+                score: RunHistory.average(scores),
+                duration: RunHistory.average(runs.map(run => run.duration)),
+                jumps: RunHistory.average(runs.map(run => run.jumps)),
+                distance: RunHistory.average(runs.map(run => run.distance))
+            },
+            streaks: {
+                scoring: RunHistory.longestStreak(scores, score => score >= RunHistory.STREAK_SCORE),
+                improving: RunHistory.longestStreak(scores, (score, index) => index > 0 && score > scores[index - 1])
+            },
+            causes,
+            histogram: RunHistory.histogram(scores),
+            trend: RunHistory.trend(scores)
+        };
+    }
+
+    // Mean of the numbers, to one decimal place (0 for none)
+    static average(values) {
+        const numbers = values.filter(value => typeof value === 'number');
+        if (numbers.length === 0) {
+            return 0;
+        }
+        return Math.round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length * 10) / 10;
+    }
+
+    // Most consecutive values passing test(value, index)
+    static longestStreak(values, test) {
+        let longest = 0;
+        let current = 0;
+        values.forEach((value, index) => {
+            current = test(value, index) ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    }
+
+    // Scores counted into equal buckets from 0 up to the best: [{ from, to, count }]
+    static histogram(scores) {
+        if (scores.length === 0) {
+            return [];
+        }
+
+        const best = Math.max(0, ...scores);
+        const width = Math.max(1, Math.ceil((best + 1) / RunHistory.HISTOGRAM_BUCKETS));
+        const buckets = [];
+        for (let from = 0; from <= best; from += width) {
+            buckets.push({ from, to: from + width - 1, count: 0 });
+        }
+        for (const score of scores) {
+            buckets[Math.floor(Math.max(0, score) / width)].count++;
+        }
+        return buckets;
+    }
+
+    // Recent scores (oldest first) and the average of the latest runs against the ones before
+    static trend(scores) {
+        const size = RunHistory.TREND_WINDOW;
+        const previous = scores.slice(-size * 2, -size);
+        return {
+            scores: scores.slice(-RunHistory.TREND_RUNS),
+            recentAverage: RunHistory.average(scores.slice(-size)),
+            previousAverage: previous.length > 0 ? RunHistory.average(previous) : null
+        };
+    }
+}
+
+// Runs kept; older ones are pruned
+RunHistory.LIMIT = 200;
+
+// Score a run needs to extend the scoring streak
+RunHistory.STREAK_SCORE = 10;
+
+// Bars in the score histogram, runs in the trend chart, and runs per trend average
+RunHistory.HISTOGRAM_BUCKETS = 8;
+RunHistory.TREND_RUNS = 20;
+RunHistory.TREND_WINDOW = 10;
+
+// How a run ended, as shown on the stats screen
+RunHistory.CAUSES = {
+    topPipe: 'Top pipe',
+    bottomPipe: 'Bottom pipe',
+    obstacle: 'Obstacle',
+    ground: 'Ground',
+    bounds: 'Off screen',
+    timeUp: 'Time up',
+    quit: 'Quit'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunHistory;
+}
\ No newline at end of file
@@ -1,18 +1,29 @@
 // ScoreManager class handles scoring, high scores, and score display
 class ScoreManager {
-    constructor() {
+    constructor(settings, elements = ScoreManager.findElements()) {
         this.currentScore = 0;
-        this.highScore = 0;
+        this.highScore = 0; // Top of the leaderboard (or the current score, once it beats that)
+        this.leaderboard = null; // Top runs of the current category (see Leaderboard)
+        this.runEntry = null; // Leaderboard entry of the run that just ended, if it made it
+        this.runRank = null;
         this.scoreAnimations = [];
 
-        // Load high score from localStorage
-        this.loadHighScore();
+        // Records, run history and games played live in the player's profile (see SettingsStore)
+        this.settings = settings;
+        this.persistent = true; // False for runs that must not set records (bots)
+        this.history = new RunHistory(settings.get('profile.history'));
 
-        // Score display elements
-        this.scoreDisplay = document.getElementById('scoreDisplay');
-        this.highScoreValue = document.getElementById('highScoreValue');
-        this.finalScore = document.getElementById('finalScore');
-        this.finalHighScore = document.getElementById('finalHighScore');
+        // Records are kept per category (game mode and difficulty preset)
+        this.category = ScoreManager.DEFAULT_CATEGORY;
+
+        // Load the leaderboard from the profile
+        this.loadLeaderboard();
+
+        // Score display elements (all optional; absent when running headless)
+        this.scoreDisplay = elements.scoreDisplay || null;
+        this.highScoreValue = elements.highScoreValue || null;
+        this.finalScore = elements.finalScore || null;
+        this.finalHighScore = elements.finalHighScore || null;
 
         // Score configuration
         this.scorePerPipe = 1;
@@ -23,17 +34,29 @@ class ScoreManager {
         this.updateDisplays();
     }
 
+    // Look up the score display elements in the page, if there is one
+    static findElements() {
+        if (typeof document === 'undefined') {
+            return {};
+        }
+
+        return {
+            scoreDisplay: document.getElementById('scoreDisplay'),
+            highScoreValue: document.getElementById('highScoreValue'),
+            finalScore: document.getElementById('finalScore'),
+            finalHighScore: document.getElementById('finalHighScore')
+        };
+    }
+
     // Increment score when passing a pipe
-    incrementScore() {
-        this.currentScore += this.scorePerPipe;
+    incrementScore(points = this.scorePerPipe) {
+        this.currentScore += points;
         this.updateScoreDisplay();
-        this.addScoreAnimation();
-        this.playScoreSound();
+        this.addScoreAnimation(`+${points}`);
 
-        // Check and update high score
-        if (this.currentScore > this.highScore) {
+        // Show a beaten high score straight away (the run is recorded when it ends)
+        if (this.persistent && this.currentScore > this.highScore) {
             this.highScore = this.currentScore;
-            this.saveHighScore();
         }
     }
 
@@ -50,12 +73,20 @@ class ScoreManager {
         }
     }
 
+    // Take points away (e.g. a crash in Zen mode); the score never goes below zero
+    deductScore(points) {
+        this.currentScore = Math.max(0, this.currentScore - points);
+        this.updateScoreDisplay();
+        this.addScoreAnimation(`-${points}`, '#FF6B6B');
+    }
+
     // Add visual animation when scoring
-    addScoreAnimation() {
+    addScoreAnimation(value = '+1', color = '#FFD700') {
         const scorePopup = {
             x: 160, // Center of canvas
             y: 100, // Upper area of canvas
-            value: '+1',
+            value: value,
+            color: color,
             opacity: 1,
             scale: 0.5,
             startTime: Date.now()
@@ -93,7 +124,7 @@ class ScoreManager {
         ctx.save();
 
         ctx.globalAlpha = animation.opacity;
-        ctx.fillStyle = '#FFD700'; // Gold color
+        ctx.fillStyle = animation.color;
         ctx.font = `bold ${20 * animation.scale}px Arial`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
@@ -163,6 +194,9 @@ class ScoreManager {
     // Reset score for new game
     resetScore() {
         this.currentScore = 0;
+        this.highScore = this.leaderboard.getBest();
+        this.runEntry = null;
+        this.runRank = null;
         this.scoreAnimations = [];
         this.updateDisplays();
         this.hideScoreDisplay();
@@ -182,43 +216,91 @@ class ScoreManager {
         }
     }
 
-    // Load high score from localStorage
-    loadHighScore() {
-        try {
-            const saved = localStorage.getItem('flappyBirdHighScore');
-            if (saved !== null) {
-                this.highScore = parseInt(saved, 10) || 0;
-            }
-        } catch (error) {
-            console.warn('Could not load high score from localStorage:', error);
-            this.highScore = 0;
-        }
+    // Load the current category's leaderboard from the profile
+    loadLeaderboard() {
+        this.leaderboard = new Leaderboard(this.settings.get('profile.leaderboards')[this.category] ?? []);
+        this.highScore = this.leaderboard.getBest();
+    }
+
+    // Save the current category's leaderboard to the profile
+    saveLeaderboard() {
+        const leaderboards = this.settings.get('profile.leaderboards');
+        leaderboards[this.category] = this.leaderboard.getEntries();
+        this.settings.set('profile.leaderboards', leaderboards);
     }
 
-    // Save high score to localStorage
-    saveHighScore() {
-        try {
-            localStorage.setItem('flappyBirdHighScore', this.highScore.toString());
-        } catch (error) {
-            console.warn('Could not save high score to localStorage:', error);
+    // Add the run that just ended to the history, and to the leaderboard if it makes it
+    // (signed with the last initials entered). details are { mode, preset, seed,
+    // duration (seconds), jumps, distance (pixels), cause } (see RunHistory.CAUSES).
+    // Returns the rank it took, or null
+    recordRun(details) {
+        this.runEntry = null;
+        this.runRank = null;
+        if (!this.persistent) {
+            return null;
         }
+
+        const { mode, preset, seed, duration, jumps, distance, cause } = details;
+        const date = new Date().toISOString();
+        this.history.add({ date, category: this.category, mode, preset, score: this.currentScore, duration, jumps, distance, cause });
+        this.settings.set('profile.history', this.history.getRuns());
+
+        if (this.leaderboard.getRank(this.currentScore) === null) {
+            return null;
+        }
+
+        this.runEntry = {
+            initials: this.getInitials() || Leaderboard.ANONYMOUS,
+            score: this.currentScore,
+            date,
+            mode,
+            preset,
+            seed,
+            duration
+        };
+        this.runRank = this.leaderboard.add(this.runEntry);
+        this.highScore = this.leaderboard.getBest();
+        this.saveLeaderboard();
+        this.updateDisplays();
+        return this.runRank;
     }
 
-    // Play score sound effect
-    playScoreSound() {
-        try {
-            const scoreSound = document.getElementById('scoreSound');
-            if (scoreSound) {
-                // Reset and play sound
-                scoreSound.currentTime = 0;
-                scoreSound.play().catch(error => {
-                    // Audio might not play without user interaction
-                    console.log('Score sound play failed:', error);
-                });
-            }
-        } catch (error) {
-            console.log('Score sound not available:', error);
+    // Rank the last recorded run took (null if it didn't make the leaderboard)
+    getRunRank() {
+        return this.runRank;
+    }
+
+    // Sign the last recorded run, and remember the initials for the next ones
+    setRunInitials(text) {
+        const initials = Leaderboard.normalizeInitials(text);
+        this.settings.set('profile.initials', initials);
+        if (this.runEntry) {
+            this.runEntry.initials = initials;
+            this.saveLeaderboard();
         }
+        return initials;
+    }
+
+    // Initials last entered ('' if none yet)
+    getInitials() {
+        return this.settings.get('profile.initials');
+    }
+
+    // Entries of the current category's leaderboard, best first
+    getLeaderboard() {
+        return this.leaderboard.getEntries().map(entry => ({ ...entry }));
+    }
+
+    // Switch to another category's records (e.g. 'hard')
+    setCategory(category) {
+        this.category = category;
+        this.loadLeaderboard();
+        this.updateDisplays();
+    }
+
+    // Get the current record category
+    getCategory() {
+        return this.category;
     }
 
     // Get current score
@@ -231,46 +313,30 @@ class ScoreManager {
         return this.highScore;
     }
 
-    // Check if current score is a new high score
-    isNewHighScore() {
-        return this.currentScore > this.highScore || this.currentScore === this.highScore && this.currentScore > 0;
+    // Choose whether the current run may update the saved high score
+    setPersistent(persistent) {
+        this.persistent = persistent;
     }
 
-    // Set high score manually (for testing or special cases)
-    setHighScore(score) {
-        this.highScore = Math.max(0, score);
-        this.saveHighScore();
-        this.updateDisplays();
-    }
-
-    // Get score statistics
+    // Get score statistics; history holds the current category's run statistics (see RunHistory.getStats)
     getStats() {
         return {
             currentScore: this.currentScore,
             highScore: this.highScore,
-            isNewHighScore: this.isNewHighScore(),
-            totalGamesPlayed: this.getTotalGamesPlayed()
+            runRank: this.runRank,
+            totalGamesPlayed: this.getTotalGamesPlayed(),
+            history: this.history.getStats(this.category)
         };
     }
 
-    // Get total games played (optional feature)
+    // Get total games played
     getTotalGamesPlayed() {
-        try {
-            const gamesPlayed = localStorage.getItem('flappyBirdGamesPlayed');
-            return gamesPlayed ? parseInt(gamesPlayed, 10) : 0;
-        } catch (error) {
-            return 0;
-        }
+        return this.settings.get('profile.gamesPlayed');
     }
 
     // Increment games played counter
     incrementGamesPlayed() {
-        try {
-            const gamesPlayed = this.getTotalGamesPlayed();
-            localStorage.setItem('flappyBirdGamesPlayed', (gamesPlayed + 1).toString());
-        } catch (error) {
-            console.warn('Could not save games played count:', error);
-        }
+        this.settings.set('profile.gamesPlayed', this.getTotalGamesPlayed() + 1);
     }
 
     // Format score for display (with commas for large numbers)
@@ -285,6 +351,9 @@ class ScoreManager {
     }
 }
 
+// Category whose high score lives under the original 'flappyBirdHighScore' key
+ScoreManager.DEFAULT_CATEGORY = 'normal';
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ScoreManager;
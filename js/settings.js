@@ -0,0 +1,224 @@
+// SettingsStore keeps the player's settings and profile (records, games played) in
+// one versioned JSON record under a single storage key. Saves from older versions,
+// and the loose keys the game used before the store existed, are brought up to date
+// by SettingsStore.MIGRATIONS when the store loads. Every change is saved at once and
+// announced to the listeners registered with onChange. Persistence goes through a
+// StorageAdapter, so the store falls back to memory wherever localStorage fails.
+class SettingsStore {
+    constructor(storage = new StorageAdapter(), key = SettingsStore.STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.listeners = [];
+        this.data = this.load();
+    }
+
+    // Read a value by dotted path, e.g. 'theme' or 'audio.volumes.music'
+    // (objects come back as copies, so every change goes through set)
+    get(path) {
+        let value = this.data;
+        for (const part of path.split('.')) {
+            if (value === null || typeof value !== 'object') {
+                return undefined;
+            }
+            value = value[part];
+        }
+        return SettingsStore.copy(value);
+    }
+
+    // Change a value by dotted path, save, and tell the listeners (no-op if unchanged)
+    set(path, value) {
+        const parts = path.split('.');
+        const last = parts.pop();
+        let target = this.data;
+        for (const part of parts) {
+            if (target[part] === null || typeof target[part] !== 'object') {
+                target[part] = {};
+            }
+            target = target[part];
+        }
+
+        const previous = target[last];
+        if (JSON.stringify(previous) === JSON.stringify(value)) {
+            return;
+        }
+
+        target[last] = SettingsStore.copy(value);
+        this.save();
+        for (const listener of [...this.listeners]) {
+            listener(path, SettingsStore.copy(value), previous);
+        }
+    }
+
+    // Call listener(path, value, previous) after every change; returns a function that stops it
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(candidate => candidate !== listener);
+        };
+    }
+
+    // Everything as plain data (e.g. for a backup)
+    toJSON() {
+        return SettingsStore.copy(this.data);
+    }
+
+    // Write the record to storage
+    save() {
+        this.storage.setItem(this.key, JSON.stringify(this.data));
+    }
+
+    // Read the saved record, migrating it (or the legacy keys) to the current version
+    load() {
+        let data = { version: 0 };
+        const saved = this.storage.getItem(this.key);
+        if (saved !== null) {
+            try {
+                data = JSON.parse(saved);
+            } catch (error) {
+                console.warn('Ignoring unreadable settings:', error);
+            }
+        }
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            data = { version: 0 };
+        }
+
+        const version = Number.isInteger(data.version) ? data.version : 0;
+        if (version > SettingsStore.VERSION) {
+            console.warn(`Settings were saved by a newer version (${version}); reading what this version knows`);
+        }
+        for (let from = version; from < SettingsStore.VERSION; from++) {
+            data = SettingsStore.MIGRATIONS[from](data, this.storage);
+            data.version = from + 1;
+        }
+
+        data = SettingsStore.withDefaults(data, SettingsStore.DEFAULTS);
+        data.version = Math.max(version, SettingsStore.VERSION);
+        if (version < SettingsStore.VERSION) {
+            this.storage.setItem(this.key, JSON.stringify(data));
+        }
+        return data;
+    }
+
+    // Fill in whatever the data is missing from the defaults (nested objects merge)
+    static withDefaults(data, defaults) {
+        const merged = { ...data };
+        for (const [key, fallback] of Object.entries(defaults)) {
+            const value = merged[key];
+            if (fallback !== null && typeof fallback === 'object' && !Array.isArray(fallback)) {
+                const nested = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+                merged[key] = SettingsStore.withDefaults(nested, fallback);
+            } else if (value === undefined) {
+                merged[key] = SettingsStore.copy(fallback);
+            }
+        }
+        return merged;
+    }
+
+    // Deep copy of plain data
+    static copy(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+}
+
+// Storage key of the record, and its current schema version
+SettingsStore.STORAGE_KEY = 'flappyBirdSettings';
+SettingsStore.VERSION = 2;
+
+// Every setting and profile field with its default. Leaderboards (see Leaderboard)
+// are kept by record category: the preset, or 'mode.preset' outside Endless;
+// initials are the ones last entered, signed on new runs until changed; history
+// holds the latest runs of every category (see RunHistory); achievements hold
+// progress and unlock dates by achievement id (see AchievementManager); plugins
+// hold plugin settings by plugin name and key (see PluginManager); coins are the
+// wallet's balance (see Wallet), and shop the cosmetics owned and equipped (see Shop)
+SettingsStore.DEFAULTS = {
+    preset: 'normal',
+    mode: 'endless',
+    skin: 'classic',
+    theme: 'day',
+    themeRotation: 0,
+    audio: {
+        volumes: { master: 1, sfx: 0.8, music: 0.5 },
+        muted: false,
+        musicMuted: false
+    },
+    haptics: true,
+    controls: { flapKey: 'Space' },
+    plugins: {},
+    profile: {
+        gamesPlayed: 0,
+        initials: '',
+        leaderboards: {},
+        history: [],
+        achievements: {},
+        coins: 0,
+        shop: { owned: [], equipped: {} }
+    }
+};
+
+// MIGRATIONS[n] turns version n data into version n + 1; fields a migration leaves
+// out get their defaults. Migrations describe old saves as they were, so they must
+// not change once released. Legacy keys are left in place for older builds.
+SettingsStore.MIGRATIONS = [
+    // 0 -> 1: gather the loose flappyBird* keys into one record
+    (data, storage) => {
+        const migrated = { ...data, profile: { gamesPlayed: 0, highScores: {} } };
+        const readNumber = (key) => parseInt(storage.getItem(key), 10) || 0;
+
+        // 'flappyBirdHighScore' held Normal (the only category at the time); the
+        // per-category keys 'flappyBirdHighScore.<category>' came later
+        if (readNumber('flappyBirdHighScore') > 0) {
+            migrated.profile.highScores.normal = readNumber('flappyBirdHighScore');
+        }
+        for (const key of storage.keys()) {
+            if (key.startsWith('flappyBirdHighScore.') && readNumber(key) > 0) {
+                migrated.profile.highScores[key.slice('flappyBirdHighScore.'.length)] = readNumber(key);
+            }
+        }
+        migrated.profile.gamesPlayed = readNumber('flappyBirdGamesPlayed');
+
+        // Start screen choices
+        for (const [name, key] of [
+            ['preset', 'flappyBirdPreset'],
+            ['mode', 'flappyBirdMode'],
+            ['skin', 'flappyBirdSkin'],
+            ['theme', 'flappyBirdTheme']
+        ]) {
+            const value = storage.getItem(key);
+            if (value !== null) {
+                migrated[name] = value;
+            }
+        }
+        if (storage.getItem('flappyBirdThemeRotation') !== null) {
+            migrated.themeRotation = readNumber('flappyBirdThemeRotation');
+        }
+
+        // Volumes and mute, saved as JSON
+        try {
+            const audio = JSON.parse(storage.getItem('flappyBirdAudio'));
+            if (audio && typeof audio === 'object') {
+                migrated.audio = audio;
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable audio settings:', error);
+        }
+
+        return migrated;
+    },
+
+    // 1 -> 2: each category's single high score becomes the first entry of its leaderboard
+    (data) => {
+        const { highScores = {}, ...profile } = data.profile || {};
+        const leaderboards = {};
+        for (const [category, score] of Object.entries(highScores)) {
+            const [mode, preset] = category.includes('.') ? category.split('.') : ['endless', category];
+            leaderboards[category] = [{ initials: Leaderboard.ANONYMOUS, score, date: null, mode, preset, seed: null, duration: null }];
+        }
+        return { ...data, profile: { ...profile, leaderboards } };
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsStore;
+}
\ No newline at end of file
@@ -0,0 +1,152 @@
+// Shop sells cosmetics for coins (see Wallet): bird colours, trails and pipe styles.
+// The catalogue is data (Shop.CATALOGUE), so items are added without code changes.
+// One item per category can be equipped at a time; what the player owns and wears
+// is saved in their profile.
+class Shop {
+    constructor(settings, wallet, catalogue = Shop.CATALOGUE) {
+        this.settings = settings;
+        this.wallet = wallet;
+        this.catalogue = catalogue;
+        this.state = settings.get('profile.shop'); // { owned: [ids], equipped: { [category]: id } }
+    }
+
+    // Catalogue items with what the player has done with them:
+    // [{ ...item, owned, equipped, affordable }]
+    getItems() {
+        return this.catalogue.map(item => ({
+            ...item,
+            owned: this.owns(item.id),
+            equipped: this.state.equipped[item.category] === item.id,
+            affordable: this.wallet.canAfford(item.price)
+        }));
+    }
+
+    // Find a catalogue item by id
+    getItem(id) {
+        return this.catalogue.find(item => item.id === id) || null;
+    }
+
+    // Check if the player owns an item
+    owns(id) {
+        return this.state.owned.includes(id);
+    }
+
+    // Pick an item on the shop screen: buy (and wear) it, or put it on or take it off
+    // if it is already owned. Returns what happened: 'bought', 'equipped',
+    // 'unequipped', 'tooExpensive', or null for an unknown item
+    select(id) {
+        const item = this.getItem(id);
+        if (!item) {
+            return null;
+        }
+
+        if (this.owns(id)) {
+            if (this.state.equipped[item.category] === id) {
+                delete this.state.equipped[item.category];
+                this.save();
+                return 'unequipped';
+            }
+            this.equip(item);
+            return 'equipped';
+        }
+
+        if (!this.wallet.spend(item.price)) {
+            return 'tooExpensive';
+        }
+        this.state.owned.push(id);
+        this.equip(item);
+        return 'bought';
+    }
+
+    // Wear an owned item in place of its category's current one
+    equip(item) {
+        this.state.equipped[item.category] = item.id;
+        this.save();
+    }
+
+    // The item worn in a category, or null
+    getEquipped(category) {
+        const item = this.getItem(this.state.equipped[category]);
+        return item && this.owns(item.id) ? item : null;
+    }
+
+    // Write purchases and equipped items to the profile
+    save() {
+        this.settings.set('profile.shop', this.state);
+    }
+}
+
+// Shop categories, in screen order
+Shop.CATEGORIES = {
+    color: 'Bird Colours',
+    trail: 'Trails',
+    pipes: 'Pipe Styles'
+};
+
+// Items for sale, in screen order. price is in coins; the rest is the look:
+// color items paint over the skin's palette (colors, see BirdSkin), trail items
+// leave dots behind the bird (colors cycled, size in pixels), pipe items replace
+// the theme's pipe colours (pipes, see PipeManager)
+Shop.CATALOGUE = [
+    {
+        id: 'mintBird',
+        category: 'color',
+        label: 'Mint',
+        price: 30,
+        colors: { body: '#80CBC4', wing: '#00897B' }
+    },
+    {
+        id: 'goldBird',
+        category: 'color',
+        label: 'Gold',
+        price: 75,
+        colors: { body: '#FFD54F', wing: '#FFA000', outline: '#8D6E00' }
+    },
+    {
+        id: 'shadowBird',
+        category: 'color',
+        label: 'Shadow',
+        price: 150,
+        colors: { body: '#424242', wing: '#212121', beak: '#FF7043', outline: '#000' }
+    },
+    {
+        id: 'sparkleTrail',
+        category: 'trail',
+        label: 'Sparkles',
+        price: 50,
+        trail: { colors: ['#FFF59D', '#FFFFFF'], size: 3 }
+    },
+    {
+        id: 'rainbowTrail',
+        category: 'trail',
+        label: 'Rainbow',
+        price: 200,
+        trail: { colors: ['#F44336', '#FF9800', '#FFEB3B', '#4CAF50', '#2196F3', '#9C27B0'], size: 4 }
+    },
+    {
+        id: 'brickPipes',
+        category: 'pipes',
+        label: 'Brick',
+        price: 60,
+        pipes: { pipeColor: '#B5533C', pipeBorderColor: '#7A2E1E', pipeHighlightColor: '#D9785F' }
+    },
+    {
+        id: 'marblePipes',
+        category: 'pipes',
+        label: 'Marble',
+        price: 120,
+        pipes: { pipeColor: '#ECEFF1', pipeBorderColor: '#90A4AE', pipeHighlightColor: '#FFFFFF' }
+    },
+    {
+        id: 'goldPipes',
+        category: 'pipes',
+        label: 'Gold',
+        price: 300,
+        pipes: { pipeColor: '#FFC107', pipeBorderColor: '#B28704', pipeHighlightColor: '#FFE082' }
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shop;
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+// BirdSkin draws the bird. Skins paint in the bird's own coordinates (origin at
+// the body centre, already rotated), so they never touch physics; the beak is
+// drawn from bird.beakPoints so what you see is what collides.
+// Procedural skins paint from a palette; SpriteSkin draws frames of a sprite sheet.
+class BirdSkin {
+    constructor(definition = {}) {
+        this.name = definition.name ?? 'classic';
+        this.label = definition.label ?? 'Classic';
+        this.colors = { ...BirdSkin.CLASSIC_COLORS, ...definition.colors };
+        this.flapSpeed = definition.flapSpeed ?? 0.02; // wing beat, radians per millisecond
+    }
+
+    // Draw the bird; time in milliseconds drives the wing animation. A bird colour
+    // bought in the shop (bird.palette) paints over the skin's own
+    draw(ctx, bird, time) {
+        const colors = bird.palette ? { ...this.colors, ...bird.palette } : this.colors;
+
+        // Draw bird body (circle)
+        ctx.fillStyle = colors.body;
+        ctx.beginPath();
+        ctx.arc(0, 0, bird.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw bird outline
+        ctx.strokeStyle = colors.outline;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Draw eye
+        ctx.fillStyle = colors.eye;
+        ctx.beginPath();
+        ctx.arc(5, -3, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = colors.outline;
+        ctx.stroke();
+
+        // Draw pupil
+        ctx.fillStyle = colors.pupil;
+        ctx.beginPath();
+        ctx.arc(6, -3, 1.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw beak
+        ctx.fillStyle = colors.beak;
+        ctx.beginPath();
+        ctx.moveTo(bird.beakPoints[0].x, bird.beakPoints[0].y);
+        for (const point of bird.beakPoints.slice(1)) {
+            ctx.lineTo(point.x, point.y);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = colors.outline;
+        ctx.stroke();
+
+        // Draw wing, beating up and down
+        const wingAngle = Math.PI / 6 + Math.sin(time * this.flapSpeed) * 0.35;
+        ctx.fillStyle = colors.wing;
+        ctx.beginPath();
+        ctx.ellipse(-3, 2, 6, 4, wingAngle, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = colors.outline;
+        ctx.stroke();
+    }
+
+    // Create a skin by name (see BirdSkin.SKINS); unknown names give Classic
+    static create(name) {
+        const definition = BirdSkin.SKINS[name];
+        if (!definition) {
+            console.warn(`Unknown skin "${name}"`);
+            return new BirdSkin();
+        }
+        return definition.frameCount ? new SpriteSkin(definition) : new BirdSkin(definition);
+    }
+}
+
+// SpriteSkin draws one frame of a horizontal sprite sheet per wing position.
+// The sheet is an image file (src) or painted at load time from the skin's colours
+// (drawFrame(ctx, frame, colors)); until it is ready, the procedural palette stands in.
+// Painted sheets follow a bird colour bought in the shop; an image keeps its own.
+class SpriteSkin extends BirdSkin {
+    constructor(definition) {
+        super(definition);
+        this.src = definition.src ?? null;
+        this.drawFrame = definition.drawFrame ?? null;
+        this.frameWidth = definition.frameWidth;
+        this.frameHeight = definition.frameHeight;
+        this.frameCount = definition.frameCount;
+        this.frameDuration = definition.frameDuration ?? 100; // milliseconds per frame
+        // Sheet pixels across the body; frames are scaled so the body is bird.size
+        // across, like the circle the bird collides with
+        this.bodySize = definition.bodySize ?? definition.frameWidth;
+        this.sheet = null; // Image sheet
+        this.sheets = new Map(); // Painted sheets by bird colour (bird.palette, null for none)
+    }
+
+    // Draw the current animation frame, centred on the bird and scaled to its size
+    draw(ctx, bird, time) {
+        const sheet = this.getSheet(bird.palette);
+        if (!sheet) {
+            super.draw(ctx, bird, time);
+            return;
+        }
+
+        const frame = Math.floor(time / this.frameDuration) % this.frameCount;
+        const scale = bird.size / this.bodySize;
+        const width = this.frameWidth * scale;
+        const height = this.frameHeight * scale;
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(sheet, frame * this.frameWidth, 0, this.frameWidth, this.frameHeight,
+            -width / 2, -height / 2, width, height);
+    }
+
+    // The sprite sheet for a bird colour, loading or painting it on first use;
+    // null until it is ready
+    getSheet(palette = null) {
+        if (typeof document === 'undefined') {
+            return null;
+        }
+
+        if (this.drawFrame) {
+            if (!this.sheets.has(palette)) {
+                this.sheets.set(palette, this.paintSheet({ ...this.colors, ...palette }));
+            }
+            return this.sheets.get(palette);
+        }
+
+        if (!this.sheet) {
+            this.sheet = this.loadSheet();
+        }
+        return this.sheet.complete && this.sheet.naturalWidth > 0 ? this.sheet : null;
+    }
+
+    // Paint every frame side by side onto an offscreen canvas, in the given colours
+    paintSheet(colors) {
+        const sheet = document.createElement('canvas');
+        sheet.width = this.frameWidth * this.frameCount;
+        sheet.height = this.frameHeight;
+
+        const ctx = sheet.getContext('2d');
+        for (let frame = 0; frame < this.frameCount; frame++) {
+            ctx.save();
+            ctx.translate(frame * this.frameWidth, 0);
+            this.drawFrame(ctx, frame, colors);
+            ctx.restore();
+        }
+        return sheet;
+    }
+
+    // Start loading the sheet image
+    loadSheet() {
+        const image = new Image();
+        image.src = this.src;
+        return image;
+    }
+
+    // Fill one rectangle per character of a pixel map; '.' (or any character
+    // missing from the palette) is left transparent
+    static drawPixels(ctx, rows, palette) {
+        rows.forEach((row, y) => {
+            for (let x = 0; x < row.length; x++) {
+                const color = palette[row[x]];
+                if (color) {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x, y, 1, 1);
+                }
+            }
+        });
+    }
+}
+
+// Palette of the original bird; other skins override what they change
+BirdSkin.CLASSIC_COLORS = {
+    body: '#FFD700',
+    outline: '#333',
+    eye: 'white',
+    pupil: '#333',
+    beak: '#FFA500',
+    wing: '#FFA500'
+};
+
+// Pixel bird body, 16x12 with a round body 10 across centred at (8, 6), so drawn
+// at the bird's size it covers the collision circle and the beak covers
+// Bird.beakPoints; the wing is added per frame
+BirdSkin.PIXEL_BIRD = [
+    '................',
+    '......kkkk......',
+    '....kkppppkk....',
+    '....kppppwwk....',
+    '...kpppppwkpk...',
+    '...kppppppppk...',
+    '...kppppppppoo..',
+    '...kppppppppoo..',
+    '....kppppppk....',
+    '....kkppppkk....',
+    '......kkkk......',
+    '................'
+];
+
+// Skins selectable from the start screen, by name
+BirdSkin.SKINS = {
+    classic: { name: 'classic', label: 'Classic' },
+    bluebird: {
+        name: 'bluebird',
+        label: 'Bluebird',
+        colors: { body: '#4FC3F7', beak: '#FFB300', wing: '#0288D1' }
+    },
+    cardinal: {
+        name: 'cardinal',
+        label: 'Cardinal',
+        colors: { body: '#E53935', beak: '#FF8F00', wing: '#B71C1C' }
+    },
+    pixel: {
+        name: 'pixel',
+        label: 'Pixel',
+        colors: { body: '#F06292', beak: '#FFB300', wing: '#AD1457' },
+        frameWidth: 16,
+        frameHeight: 12,
+        frameCount: 3,
+        frameDuration: 120,
+        bodySize: 10,
+        // Wing up, level and down
+        drawFrame(ctx, frame, colors) {
+            SpriteSkin.drawPixels(ctx, BirdSkin.PIXEL_BIRD, {
+                k: colors.outline, p: colors.body, w: colors.eye, o: colors.beak
+            });
+
+            const wingY = [3, 5, 7][frame];
+            ctx.fillStyle = colors.outline;
+            ctx.fillRect(4, wingY - 1, 4, 4);
+            ctx.fillStyle = colors.wing;
+            ctx.fillRect(5, wingY, 2, 2);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BirdSkin;
+}
\ No newline at end of file
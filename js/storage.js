@@ -0,0 +1,83 @@
+// StorageAdapter wraps a localStorage-like backend for persistence.
+// With no backend (Node, private browsing) or a backend that throws,
+// values are kept in memory for the rest of the session instead.
+class StorageAdapter {
+    constructor(backend = StorageAdapter.getLocalStorage()) {
+        this.backend = backend;
+        this.memory = new Map();
+    }
+
+    // Read a stored string (null when missing)
+    getItem(key) {
+        // Values that failed to persist live in memory and are the most recent
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+
+        if (this.backend) {
+            try {
+                return this.backend.getItem(key);
+            } catch (error) {
+                console.warn(`Could not read "${key}" from storage:`, error);
+            }
+        }
+        return null;
+    }
+
+    // Store a string value
+    setItem(key, value) {
+        const text = String(value);
+        if (this.backend) {
+            try {
+                this.backend.setItem(key, text);
+                this.memory.delete(key);
+                return;
+            } catch (error) {
+                console.warn(`Could not save "${key}" to storage:`, error);
+            }
+        }
+        this.memory.set(key, text);
+    }
+
+    // Remove a stored value
+    removeItem(key) {
+        if (this.backend) {
+            try {
+                this.backend.removeItem(key);
+            } catch (error) {
+                console.warn(`Could not remove "${key}" from storage:`, error);
+            }
+        }
+        this.memory.delete(key);
+    }
+
+    // List the stored keys (persisted and memory-only)
+    keys() {
+        const keys = new Set(this.memory.keys());
+        if (this.backend) {
+            try {
+                for (let i = 0; i < this.backend.length; i++) {
+                    keys.add(this.backend.key(i));
+                }
+            } catch (error) {
+                console.warn('Could not list storage keys:', error);
+            }
+        }
+        return [...keys];
+    }
+
+    // Get the browser's localStorage, or null where it is unavailable
+    static getLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage itself throws in some sandboxed contexts
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapter;
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+// ThemeManager picks the visual theme: sky gradient, ground, pipe palette and
+// ambient particles. Themes are plain data (ThemeManager.THEMES); the renderer
+// draws them on the canvas so screenshots and recordings include them. With
+// rotation on, the theme moves on to the next one every N points.
+class ThemeManager {
+    constructor(themes = ThemeManager.THEMES) {
+        this.themes = themes;
+        this.names = Object.keys(themes);
+        this.selected = this.names[0]; // Theme picked by the player
+        this.current = this.selected; // Theme on screen (differs while rotating)
+        this.rotateEvery = 0; // points per theme change; 0 keeps the selected theme
+    }
+
+    // Pick a theme (and show it straight away)
+    select(name) {
+        if (!this.themes[name]) {
+            console.warn(`Unknown theme "${name}"`);
+            return false;
+        }
+
+        this.selected = name;
+        this.current = name;
+        return true;
+    }
+
+    // Rotate to the next theme every so many points (0 turns rotation off)
+    setRotation(points) {
+        this.rotateEvery = Math.max(0, Math.floor(points) || 0);
+    }
+
+    // Follow the score; returns true if the theme on screen changed
+    update(score) {
+        let name = this.selected;
+        if (this.rotateEvery > 0) {
+            const start = this.names.indexOf(this.selected);
+            const steps = Math.floor(Math.max(0, score) / this.rotateEvery);
+            name = this.names[(start + steps) % this.names.length];
+        }
+
+        if (name === this.current) {
+            return false;
+        }
+        this.current = name;
+        return true;
+    }
+
+    // Get the theme on screen
+    getTheme() {
+        return this.themes[this.current];
+    }
+
+    // Get the name of the theme on screen
+    getCurrentName() {
+        return this.current;
+    }
+
+    // Get the name of the theme the player picked
+    getSelectedName() {
+        return this.selected;
+    }
+}
+
+// Built-in themes, in rotation order. sky: gradient stops [offset, colour] from the top
+// of the canvas to the ground; ground: fill gradient, edge line and stripes; pipes: PipeManager
+// colour fields; scenery: the parallax layers' colours and skyline ('hills' or 'city');
+// particles: ambient effect ('sparkle', 'stars', 'dust', 'snow', 'glow'), an 'r, g, b'
+// colour and how many
+ThemeManager.THEMES = {
+    day: {
+        label: 'Day',
+        sky: [[0, '#87CEEB'], [1, '#C9ECFA']],
+        ground: { top: '#8B7355', bottom: '#654321', line: '#4A4A4A', stripe: '#9C8465' },
+        pipes: { pipeColor: '#228B22', pipeBorderColor: '#006400', pipeHighlightColor: '#32CD32' },
+        scenery: { clouds: 'rgba(255, 255, 255, 0.8)', skyline: 'hills', skylineColor: '#A5D6A7', bushes: '#66BB6A' },
+        particles: { type: 'sparkle', color: '255, 255, 255', count: 5 }
+    },
+    night: {
+        label: 'Night',
+        sky: [[0, '#0B1026'], [1, '#2B3A67']],
+        ground: { top: '#3E3A4F', bottom: '#1F1B2E', line: '#111111', stripe: '#4A4560' },
+        pipes: { pipeColor: '#2E5E4E', pipeBorderColor: '#173528', pipeHighlightColor: '#4A8C72' },
+        scenery: { clouds: 'rgba(120, 130, 170, 0.35)', skyline: 'city', skylineColor: '#1B2340', bushes: '#1E3A2F' },
+        particles: { type: 'stars', color: '255, 250, 205', count: 30 }
+    },
+    desert: {
+        label: 'Desert',
+        sky: [[0, '#F6B26B'], [1, '#FFE5B4']],
+        ground: { top: '#E4C07A', bottom: '#C19A4B', line: '#8B6B2E', stripe: '#EDD09A' },
+        pipes: { pipeColor: '#6B8E23', pipeBorderColor: '#3B5216', pipeHighlightColor: '#9ACD32' },
+        scenery: { clouds: 'rgba(255, 245, 230, 0.6)', skyline: 'hills', skylineColor: '#E8B97A', bushes: '#8A9A3B' },
+        particles: { type: 'dust', color: '205, 160, 100', count: 12 }
+    },
+    snow: {
+        label: 'Snow',
+        sky: [[0, '#B8C6DB'], [1, '#F5F7FA']],
+        ground: { top: '#FFFFFF', bottom: '#D6E4F0', line: '#9FB3C8', stripe: '#E3EDF7' },
+        pipes: { pipeColor: '#5DADE2', pipeBorderColor: '#21618C', pipeHighlightColor: '#AED6F1' },
+        scenery: { clouds: 'rgba(255, 255, 255, 0.9)', skyline: 'hills', skylineColor: '#DDE6F0', bushes: '#2E6B4F' },
+        particles: { type: 'snow', color: '255, 255, 255', count: 40 }
+    },
+    neon: {
+        label: 'Neon',
+        sky: [[0, '#0D0221'], [1, '#261447']],
+        ground: { top: '#2E0854', bottom: '#0D0221', line: '#FF2A6D', stripe: '#4B0F7A' },
+        pipes: { pipeColor: '#05D9E8', pipeBorderColor: '#FF2A6D', pipeHighlightColor: '#D1F7FF' },
+        scenery: { clouds: 'rgba(255, 42, 109, 0.25)', skyline: 'city', skylineColor: '#3A0F5C', bushes: '#5B1A8B' },
+        particles: { type: 'glow', color: '255, 42, 109', count: 15 }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+// Trainer evolves neural-network bird controllers with a genetic algorithm.
+// The whole population flies the same pipe course at once; when every bird has
+// crashed, the fittest are kept and bred into the next generation.
+// It has no DOM code, so it trains just as well headless (see js/headless.js).
+class Trainer {
+    constructor(options = {}) {
+        // World size in pixels
+        this.width = options.width ?? 320;
+        this.height = options.height ?? 568;
+
+        // Genetic algorithm settings
+        this.populationSize = options.populationSize ?? 50;
+        this.layers = options.layers ?? [4, 6, 1]; // inputs, hidden, output
+        this.eliteCount = options.eliteCount ?? 4; // best networks copied unchanged
+        this.tournamentSize = options.tournamentSize ?? 3;
+        this.mutationRate = options.mutationRate ?? 0.1; // chance per weight
+        this.mutationAmount = options.mutationAmount ?? 0.5; // max change per mutated weight
+        this.maxScore = options.maxScore ?? 500; // end a generation once a bird gets this far
+
+        // Every generation flies a new course derived from the seed, the same for all its birds
+        this.seed = SeededRandom.normalizeSeed(options.seed ?? SeededRandom.randomSeed());
+        this.fixedCourse = options.fixedCourse ?? false; // fly the seed's course every generation
+        this.courseRandom = new SeededRandom(this.seed);
+        this.pipeManager = new PipeManager(this.width, this.height, this.courseRandom);
+
+        // Courses get harder with the score, exactly as in the game
+        this.difficulty = options.difficulty ?? new DifficultyCurve();
+
+        // Separate source for weights and breeding, so the courses stay the same per seed
+        this.random = new SeededRandom(options.evolutionSeed ?? this.seed);
+
+        // Progress
+        this.generation = 0;
+        this.agents = [];
+        this.frame = 0; // Steps into the current generation
+        this.score = 0; // Pipes passed in the current generation
+        this.bestScore = 0;
+        this.bestFitness = 0;
+        this.bestNetwork = null; // Fittest network seen so far
+        this.history = []; // { generation, score, bestFitness } per finished generation
+
+        this.reset();
+    }
+
+    // Start over from generation 1, with random networks or copies of a given one
+    reset(network = null) {
+        const networks = [];
+        for (let i = 0; i < this.populationSize; i++) {
+            if (!network) {
+                networks.push(new NeuralNetwork(this.layers, this.random));
+            } else if (i === 0) {
+                networks.push(network.clone());
+            } else {
+                networks.push(network.clone().mutate(this.mutationRate, this.mutationAmount, this.random));
+            }
+        }
+
+        this.generation = 0;
+        this.bestScore = 0;
+        this.bestFitness = 0;
+        this.bestNetwork = network ? network.clone() : null;
+        this.history = [];
+        this.startGeneration(networks);
+    }
+
+    // Put a new set of networks on a fresh course
+    startGeneration(networks) {
+        this.generation++;
+        this.frame = 0;
+        this.score = 0;
+
+        const courseSeed = this.fixedCourse ? this.seed : (this.seed + this.generation - 1) >>> 0;
+        this.courseRandom.setSeed(courseSeed);
+        this.pipeManager.reset();
+        this.pipeManager.setDifficulty(this.difficulty.getSettings(0));
+
+        this.agents = networks.map((network, index) => {
+            const bird = new Bird(80, 200);
+            bird.skin = new BirdSkin({ colors: { body: `hsl(${Math.round(index * 360 / networks.length)}, 80%, 60%)` } });
+            return { network, bird, alive: true, fitness: 0 };
+        });
+    }
+
+    // Advance every living bird by one fixed step (deltaTime in seconds);
+    // moves on to the next generation once they have all crashed
+    step(deltaTime) {
+        this.pipeManager.update(deltaTime);
+        this.frame++;
+
+        let leader = null;
+        for (const agent of this.agents) {
+            if (!agent.alive) continue;
+
+            if (agent.network.predict(this.getInputs(agent.bird))[0] > 0.5) {
+                agent.bird.jump();
+            }
+            agent.bird.update(deltaTime);
+
+            // Fitness is the distance flown
+            agent.fitness += this.pipeManager.getSpeed() * deltaTime;
+
+            if (this.checkCollision(agent.bird)) {
+                this.killAgent(agent);
+            } else if (!leader) {
+                leader = agent;
+            }
+        }
+
+        // All birds share one x, so one of them is enough to score the course
+        if (leader && this.pipeManager.checkScore(leader.bird)) {
+            this.score++;
+            this.pipeManager.setDifficulty(this.difficulty.getSettings(this.score));
+        }
+
+        if (this.getAliveCount() === 0 || this.score >= this.maxScore) {
+            this.finishGeneration();
+        }
+    }
+
+    // What a network sees: height, vertical speed, distance to the next pipe and
+    // how far the gap's centre is above or below (in gap heights)
+    getInputs(bird) {
+        const pipe = this.pipeManager.getNextPipe(bird.x - bird.width / 2);
+        const gapCenter = pipe ? pipe.gapY + pipe.gapSize / 2 : this.height / 2;
+        const distance = pipe ? pipe.x + pipe.width - bird.x : this.pipeManager.pipeSpacing;
+
+        return [
+            bird.y / this.height,
+            bird.velocity / bird.maxFallVelocity,
+            distance / this.pipeManager.pipeSpacing,
+            (gapCenter - bird.y) / this.pipeManager.gapSize
+        ];
+    }
+
+    // Pipes, ground and leaving the screen end a bird's run
+    checkCollision(bird) {
+        return this.pipeManager.checkCollision(bird)
+            || bird.isGrounded(this.height)
+            || bird.isOutOfBounds(this.height);
+    }
+
+    // Take a bird out; crashing far from the gap costs a little fitness,
+    // which tells apart birds that died at the same pipe
+    killAgent(agent) {
+        const pipe = this.pipeManager.getNextPipe(agent.bird.x - agent.bird.width / 2);
+        if (pipe) {
+            const gapCenter = pipe.gapY + pipe.gapSize / 2;
+            agent.fitness = Math.max(0, agent.fitness - Math.abs(agent.bird.y - gapCenter));
+        }
+        agent.alive = false;
+    }
+
+    // Record the generation's results and breed the next one
+    finishGeneration() {
+        const ranked = [...this.agents].sort((a, b) => b.fitness - a.fitness);
+        const best = ranked[0];
+
+        if (best.fitness > this.bestFitness || !this.bestNetwork) {
+            this.bestFitness = best.fitness;
+            this.bestNetwork = best.network.clone();
+        }
+        this.bestScore = Math.max(this.bestScore, this.score);
+        this.history.push({ generation: this.generation, score: this.score, bestFitness: Math.round(best.fitness) });
+
+        const networks = ranked.slice(0, this.eliteCount).map(agent => agent.network);
+        while (networks.length < this.populationSize) {
+            const child = NeuralNetwork.crossover(this.pickParent(ranked), this.pickParent(ranked), this.random);
+            networks.push(child.mutate(this.mutationRate, this.mutationAmount, this.random));
+        }
+
+        this.startGeneration(networks);
+    }
+
+    // Tournament selection: the fittest of a few random agents
+    pickParent(agents) {
+        let winner = null;
+        for (let i = 0; i < this.tournamentSize; i++) {
+            const agent = agents[Math.floor(this.random.next() * agents.length)];
+            if (!winner || agent.fitness > winner.fitness) {
+                winner = agent;
+            }
+        }
+        return winner.network;
+    }
+
+    // Run the current generation to the end as fast as possible (headless training)
+    runGeneration(deltaTime = 1 / 60) {
+        const generation = this.generation;
+        while (this.generation === generation) {
+            this.step(deltaTime);
+        }
+        return this.history[this.history.length - 1];
+    }
+
+    // Run a number of whole generations; returns the best network so far
+    train(generations, deltaTime = 1 / 60) {
+        for (let i = 0; i < generations; i++) {
+            this.runGeneration(deltaTime);
+        }
+        return this.bestNetwork;
+    }
+
+    // Count birds still flying
+    getAliveCount() {
+        return this.agents.filter(agent => agent.alive).length;
+    }
+
+    // Agents still flying, for rendering
+    getAliveAgents() {
+        return this.agents.filter(agent => agent.alive);
+    }
+
+    // Progress figures for the HUD and logs
+    getStats() {
+        return {
+            generation: this.generation,
+            alive: this.getAliveCount(),
+            population: this.agents.length,
+            score: this.score,
+            bestScore: this.bestScore,
+            bestFitness: Math.round(this.bestFitness)
+        };
+    }
+
+    // Fittest network seen so far (null before the first generation ends)
+    getBestNetwork() {
+        return this.bestNetwork;
+    }
+
+    // Plain object with the best network's weights, for saving as JSON
+    exportWeights() {
+        if (!this.bestNetwork) {
+            return null;
+        }
+
+        return {
+            version: 1,
+            generation: this.generation,
+            bestScore: this.bestScore,
+            bestFitness: Math.round(this.bestFitness),
+            network: this.bestNetwork.toJSON()
+        };
+    }
+
+    // Continue training from saved weights (JSON string or object from exportWeights)
+    importWeights(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.version !== 1 || !data.network) {
+            throw new Error('Invalid weights data');
+        }
+
+        const network = NeuralNetwork.fromJSON(data.network);
+        if (network.layers[0] !== this.layers[0] || network.layers[network.layers.length - 1] !== 1) {
+            throw new Error('Weights do not fit this trainer');
+        }
+
+        this.layers = [...network.layers];
+        this.reset(network);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Trainer;
+}
\ No newline at end of file
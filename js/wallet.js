@@ -0,0 +1,60 @@
+// Wallet keeps the player's coins. Coins are picked up during runs (see ItemManager)
+// and paid in when a run ends, from the runEnd event on the game's event bus; bot
+// runs and replays earn nothing. The balance is saved in the player's profile, apart
+// from the scores, and spent in the shop (see Shop).
+class Wallet {
+    constructor(settings) {
+        this.settings = settings;
+        this.coins = Number(settings.get('profile.coins')) || 0;
+        this.earning = false; // The run in progress pays out (it isn't the bot's)
+    }
+
+    // Follow the runs published on an EventBus (see GameStateManager.EVENTS)
+    listen(events) {
+        events.on('runStart', ({ bot }) => {
+            this.earning = !bot;
+        });
+        events.on('runEnd', ({ coins }) => {
+            if (this.earning && coins > 0) {
+                this.add(coins);
+            }
+            this.earning = false;
+        });
+    }
+
+    // Current balance
+    getBalance() {
+        return this.coins;
+    }
+
+    // Check if the balance covers a price
+    canAfford(price) {
+        return this.coins >= price;
+    }
+
+    // Pay coins in
+    add(amount) {
+        this.coins += amount;
+        this.save();
+    }
+
+    // Pay coins out; false (and nothing spent) if the balance doesn't cover it
+    spend(amount) {
+        if (!this.canAfford(amount)) {
+            return false;
+        }
+        this.coins -= amount;
+        this.save();
+        return true;
+    }
+
+    // Write the balance to the profile
+    save() {
+        this.settings.set('profile.coins', this.coins);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wallet;
+}
\ No newline at end of file